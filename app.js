@@ -0,0 +1,648 @@
+/**
+ * @file app.js
+ * Express app factory for the Google Trends backend. createApp(config) builds
+ * the backend services (services/backend.js) and mounts the HTTP API on them
+ * without listening, so tests and other services can embed it; server.js is
+ * the command-line entry point.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import { TIMEFRAMES, DEFAULT_TIMEFRAME } from './services/timeframes.js';
+import { roster } from './shared/roster.js';
+import { createLogger, requestLogger } from './services/logger.js';
+import { AdminAuth } from './services/AdminAuth.js';
+import { InboundRateLimiter, parseApiKeys } from './services/InboundRateLimiter.js';
+import { PROMETHEUS_CONTENT_TYPE } from './services/MetricsRegistry.js';
+import { DEFAULT_SCORING_METHOD, SCORING_STRATEGIES, listScoringMethods } from './services/ScoringStrategies.js';
+import { TrendsCache } from './services/TrendsCache.js';
+import { buildOpenApiSpec } from './services/openapi.js';
+import { OpenApiValidator } from './services/SchemaValidator.js';
+import { loadConfig, redactConfig } from './services/config.js';
+import { createBackend } from './services/backend.js';
+import { ProgressStream } from './services/ProgressStream.js';
+import { HARVEST_EVENTS } from './services/HarvestService.js';
+import { REFRESH_EVENTS } from './services/ContinuousRefreshService.js';
+
+const log = createLogger('server');
+
+// Geographic granularities supported by interestByRegion
+const REGION_RESOLUTIONS = ['COUNTRY', 'REGION', 'CITY', 'DMA'];
+// Names per /trends/compare request (two anchor batches)
+const MAX_COMPARE_NAMES = 8;
+const POKEMON_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/**
+ * Express 'trust proxy' value for the TRUST_PROXY setting: a hop count, a boolean or addresses/subnets
+ * @param {string} value
+ * @returns {number|boolean|string}
+ */
+function parseTrustProxy(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  return text;
+}
+
+/**
+ * Whether a conditional request already has this data version
+ * (If-None-Match with its ETag, or else an If-Modified-Since no older than it, to the second)
+ * @param {Object} req - Express request
+ * @param {string} version - ISO timestamp used as the ETag
+ * @returns {boolean}
+ */
+function isNotModified(req, version) {
+  const noneMatch = req.get('if-none-match');
+  if (noneMatch) {
+    return noneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === `"${version}"` || tag.trim() === '*');
+  }
+  const modifiedSince = Date.parse(req.get('if-modified-since') || '');
+  return Number.isFinite(modifiedSince) && Math.floor(Date.parse(version) / 1000) * 1000 <= modifiedSince;
+}
+
+/**
+ * Set ETag / Last-Modified from a data version and answer 304 when the client already has it
+ * @returns {boolean} Whether the 304 was sent
+ */
+function sendNotModified(req, res, version) {
+  res.set('Cache-Control', 'no-cache');
+  if (!version) return false;
+  res.set('ETag', `W/"${version}"`);
+  res.set('Last-Modified', new Date(version).toUTCString());
+  // Compared here rather than with req.fresh, which ignores validators sent with
+  // Cache-Control: no-cache (fetch() adds it to requests with explicit conditional headers)
+  if (!isNotModified(req, version)) return false;
+  res.status(304).end();
+  return true;
+}
+
+/**
+ * Create the HTTP app and the backend behind it
+ * @param {Object} config - Result of loadConfig() (loaded from the environment when omitted)
+ * @param {Object} options - Backend overrides (see createBackend)
+ * @returns {{ app, backend, start: Function, stop: Function }}
+ *   start(port): load caches, listen and schedule background work; resolves with the http.Server
+ *   stop(): close the server and stop background work
+ */
+export function createApp(config = loadConfig(), options = {}) {
+  const backend = createBackend(config, options);
+  const { trendsClient, trendsCache, circuitBreaker, proxyPool, anchorNormalizer, harvestService, refreshService, dataStore, historyStore, webhookNotifier, metricsRegistry } = backend;
+  const { topicIdCache, metrics } = trendsClient;
+
+  const app = express();
+  // Behind a load balancer req.ip is the balancer's address unless its X-Forwarded-For is trusted
+  if (config.server.trustProxy !== null) app.set('trust proxy', parseTrustProxy(config.server.trustProxy));
+  app.use(requestLogger(createLogger('http')));
+  app.use(cors());
+  app.use(express.json());
+
+  // Every /admin route needs a valid token (checked here, ahead of validation); each route then requires
+  // 'read' or, when it changes state, 'control', and that check decides and counts the request
+  const adminAuth = AdminAuth.fromConfig(config.admin);
+  const requireRead = adminAuth.require('read');
+  const requireControl = adminAuth.require('control');
+  app.use('/admin', adminAuth.authenticated());
+
+  // Inbound abuse protection for the public /trends endpoints:
+  // - every request counts against a per-client budget (X-Api-Key when it is a configured rate-limit key, else IP)
+  // - requests that would trigger a live Google fetch also count against a smaller live-fetch budget
+  // - live fetches are refused while the upstream limiter queue is full
+  const apiKeys = parseApiKeys(config.rateLimit.apiKeys);
+  const trendsRateLimiter = new InboundRateLimiter({
+    perMinute: config.rateLimit.perMinute,
+    burst: config.rateLimit.burst,
+    apiKeys,
+  });
+  const liveFetchRateLimiter = new InboundRateLimiter({
+    perMinute: config.rateLimit.liveFetchPerMinute,
+    burst: config.rateLimit.liveFetchBurst,
+    apiKeys,
+  });
+  app.use('/trends', trendsRateLimiter.middleware('requests'));
+
+  // OpenAPI document (served at /openapi.json): requests are validated and coerced before reaching the
+  // routes; JSON responses are checked too (OPENAPI_VALIDATE_RESPONSES: off, warn or strict)
+  const openApiSpec = buildOpenApiSpec({
+    timeframes: Object.keys(TIMEFRAMES),
+    defaultTimeframe: DEFAULT_TIMEFRAME,
+    scoringMethods: Object.keys(SCORING_STRATEGIES),
+    defaultScoringMethod: DEFAULT_SCORING_METHOD,
+    regionResolutions: REGION_RESOLUTIONS,
+    maxCompareNames: MAX_COMPARE_NAMES
+  });
+  const openApiValidator = new OpenApiValidator(openApiSpec, {
+    responses: config.openapi.validateResponses
+  });
+  app.use(openApiValidator.middleware());
+
+  app.get('/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+  });
+
+  // Live harvest/refresh progress for /admin/events (Server-Sent Events)
+  const progressStream = new ProgressStream();
+  progressStream.attach('harvest', harvestService, HARVEST_EVENTS);
+  progressStream.attach('refresh', refreshService, REFRESH_EVENTS);
+  progressStream.attach('upstream', circuitBreaker, ['state']);
+
+  metricsRegistry.gauge('poketrends_progress_stream_clients', 'Open /admin/events connections', { collect: () => progressStream.clientCount });
+  metricsRegistry.counter('poketrends_inbound_rate_limited_total', 'Inbound /trends requests rejected by per-client limits', {
+    collect: () => [
+      { labels: { limit: 'requests' }, value: trendsRateLimiter.stats.rejected },
+      { labels: { limit: 'live_fetch' }, value: liveFetchRateLimiter.stats.rejected }
+    ]
+  });
+  metricsRegistry.counter('poketrends_admin_auth_total', 'Admin requests by authorization result', {
+    collect: () => [
+      { labels: { result: 'allowed' }, value: adminAuth.stats.allowed },
+      { labels: { result: 'denied' }, value: adminAuth.stats.denied }
+    ]
+  });
+
+  // Known Pokémon names: inbound names are checked against these so /trends cannot proxy arbitrary keywords.
+  // The roster's species list is loaded up front; the data file and PokéAPI only add to it.
+  const knownPokemon = new Set();
+
+  function addKnownPokemon(names, source) {
+    const before = knownPokemon.size;
+    for (const name of names) {
+      if (name) knownPokemon.add(String(name).toLowerCase());
+    }
+    if (knownPokemon.size > before) {
+      log.info(`📖 Known Pokémon: ${knownPokemon.size} (+${knownPokemon.size - before} from ${source})`);
+    }
+  }
+
+  addKnownPokemon(Object.values(roster.species || {}).map(s => s.name), 'roster');
+  if (knownPokemon.size === 0) {
+    log.error('❌ shared/roster.json has no species: /trends refuses every name until the data file or PokéAPI adds some');
+  }
+
+  /**
+   * Add known names from the harvested data file and PokéAPI (species newer than the roster)
+   */
+  async function loadKnownPokemon() {
+    const countries = harvestService.getCurrentData()?.countries || {};
+    addKnownPokemon(Object.values(countries).flatMap(entries => Object.keys(entries)), 'data file');
+    try {
+      addKnownPokemon((await backend.fetchPokemonList()).map(p => p.name), 'PokéAPI');
+    } catch (err) {
+      log.warn('Failed to load Pokémon species list', { error: err });
+    }
+  }
+
+  /**
+   * Validate a Pokémon name: format, and membership in the known names (unknown names are
+   * refused, also while nothing is known)
+   * @returns {string|null} Error message or null when valid
+   */
+  function validatePokemonName(name) {
+    const key = String(name).toLowerCase();
+    if (!POKEMON_NAME_PATTERN.test(key)) return `Invalid pokemonName "${name}"`;
+    if (!knownPokemon.has(key)) return `Unknown Pokémon "${name}"`;
+    return null;
+  }
+
+  /**
+   * Guard a request that may trigger live Google fetches.
+   * Cached requests pass through; otherwise the client's live-fetch budget and the
+   * upstream queue cap apply. Sends a 429 with Retry-After when rejected.
+   * @param {Array<string>|null} cacheKeys - Cache entries that would answer the request (null = always live)
+   * @returns {boolean} true when the request may proceed
+   */
+  function admitLiveFetch(req, res, cacheKeys) {
+    if (cacheKeys && cacheKeys.every(key => trendsCache.has(key))) return true;
+    // Nothing reaches Google while the breaker is open (cache or fallback is served), so charge nothing
+    if (circuitBreaker.isOpen()) return true;
+
+    const queued = trendsClient.queueLength();
+    if (queued >= config.trends.maxQueue) {
+      const retryAfter = Math.max(1, Math.ceil((queued * config.trends.minTimeMs) / 1000));
+      metrics.queueRejected++;
+      log.warn(`🚦 Upstream queue full, rejecting ${req.method} ${req.originalUrl}`, { queued });
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({ error: 'Upstream queue is full, retry later', retryAfter });
+      return false;
+    }
+
+    const clientKey = liveFetchRateLimiter.clientKey(req);
+    const result = liveFetchRateLimiter.take(clientKey);
+    if (!result.allowed) {
+      log.warn(`🚦 Live-fetch limit reached on ${req.originalUrl}`, { client: clientKey });
+      res.set('Retry-After', String(result.retryAfterSec));
+      res.status(429).json({ error: `Too many uncached lookups, retry in ${result.retryAfterSec}s`, retryAfter: result.retryAfterSec });
+      return false;
+    }
+    return true;
+  }
+
+  // Prometheus scrape endpoint
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+    res.send(metricsRegistry.render());
+  });
+
+  // Admin endpoint to view runtime metrics (rate-limit hits, fallbacks, etc.)
+  app.get('/admin/metrics', requireRead, (req, res) => {
+    res.json({
+      metrics,
+      trendsCacheSize: trendsCache.size,
+      trendsCache: trendsCache.getStats(),
+      inboundRateLimit: { requests: trendsRateLimiter.getStats(), liveFetch: liveFetchRateLimiter.getStats() },
+      knownPokemon: knownPokemon.size,
+      inFlight: trendsClient.inFlight.getStats(),
+      openApiValidation: openApiValidator.stats,
+      history: historyStore ? historyStore.getStats() : null,
+      dataSchema: dataStore.getSchemaStatus(),
+      topicIdCacheSize: topicIdCache.size
+    });
+  });
+
+  // API endpoint to get trends data
+  app.get('/trends', async (req, res) => {
+    // Presence, types and enums are checked against the OpenAPI spec; pokemonId arrives as an integer
+    const { pokemonName, countryCode, pokemonId = null, timeframe, method } = req.query;
+
+    const invalid = validatePokemonName(pokemonName);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (!admitLiveFetch(req, res, [TrendsCache.key(pokemonName, countryCode, timeframe)])) return;
+
+    try {
+      const data = await trendsClient.fetchTrends(pokemonName, countryCode, pokemonId, timeframe, method);
+      res.json(data);
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to fetch trends data',
+        message: error.message
+      });
+    }
+  });
+
+  // List available scoring strategies for the `method` parameter
+  app.get('/trends/methods', (req, res) => {
+    res.json({ methods: listScoringMethods() });
+  });
+
+  // API endpoint to get the interest-by-region breakdown
+  // Usage:
+  //  - GET /trends/regions?pokemonName=pikachu                  -> per-country, worldwide
+  //  - GET /trends/regions?pokemonName=pikachu&countryCode=US   -> per-subregion within the US
+  app.get('/trends/regions', async (req, res) => {
+    const { pokemonName, countryCode, resolution, timeframe } = req.query;
+
+    const invalid = validatePokemonName(pokemonName);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (!admitLiveFetch(req, res, [trendsClient.resolveRegionRequest(pokemonName, { countryCode, resolution, timeframe }).cacheKey])) return;
+
+    try {
+      const data = await trendsClient.fetchRegions(pokemonName, { countryCode, resolution, timeframe });
+      res.json(data);
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to fetch region data',
+        message: error.message
+      });
+    }
+  });
+
+  // API endpoint to get related queries and topics (top and rising)
+  // Usage: GET /trends/related?pokemonName=pikachu&countryCode=US
+  app.get('/trends/related', async (req, res) => {
+    const { pokemonName, countryCode, timeframe } = req.query;
+
+    const invalid = validatePokemonName(pokemonName);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (!admitLiveFetch(req, res, [trendsClient.relatedCacheKey(pokemonName, countryCode, timeframe)])) return;
+
+    try {
+      const data = await trendsClient.fetchRelated(pokemonName, countryCode, timeframe);
+      res.json(data);
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to fetch related data',
+        message: error.message
+      });
+    }
+  });
+
+  // Compare Pokémon on the shared anchor scale (live, uncached)
+  // Usage: GET /trends/compare?names=pikachu,mewtwo&countryCode=US
+  app.get('/trends/compare', async (req, res) => {
+    const { names, countryCode } = req.query;
+    const list = String(names || '').split(',').map(n => n.trim()).filter(Boolean);
+
+    if (list.length === 0) {
+      return res.status(400).json({ error: 'Missing required parameter: names' });
+    }
+    if (list.length > MAX_COMPARE_NAMES) {
+      return res.status(400).json({ error: `At most ${MAX_COMPARE_NAMES} names can be compared per request` });
+    }
+    const invalid = list.map(validatePokemonName).find(Boolean);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (!admitLiveFetch(req, res, null)) return;
+
+    try {
+      const result = await anchorNormalizer.normalize(list, countryCode);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to compare trends data',
+        message: error.message
+      });
+    }
+  });
+
+  // Admin: clear caches (trends and topic id cache)
+  // Usage:
+  //  - GET /admin/clear-cache           -> clears all caches
+  //  - GET /admin/clear-cache?pokemonName=pikachu  -> clears trends keys matching name
+  //  - GET /admin/clear-cache?topic=pikachu        -> clears specific topicIdCache entry
+  app.get('/admin/clear-cache', requireControl, (req, res) => {
+    const { pokemonName, topic } = req.query;
+
+    const before = {
+      trendsCacheSize: trendsCache.size,
+      topicIdCacheSize: topicIdCache.size,
+    };
+
+    let clearedTrends = 0;
+    if (pokemonName) {
+      const keyLower = String(pokemonName).toLowerCase();
+      clearedTrends = trendsCache.deleteWhere(key => key.toLowerCase().startsWith(keyLower + '_'));
+    } else {
+      clearedTrends = trendsCache.clear();
+    }
+
+    let clearedTopic = 0;
+    if (topic) {
+      const t = String(topic).toLowerCase();
+      if (topicIdCache.has(t)) {
+        topicIdCache.delete(t);
+        clearedTopic = 1;
+      }
+    } else {
+      clearedTopic = topicIdCache.size;
+      topicIdCache.clear();
+    }
+
+    const after = {
+      trendsCacheSize: trendsCache.size,
+      topicIdCacheSize: topicIdCache.size,
+    };
+
+    res.json({
+      message: 'Cache cleared',
+      before,
+      after,
+      cleared: { trends: clearedTrends, topic: clearedTopic }
+    });
+  });
+
+  // Serve pre-computed trends data to frontend
+  // - ETag / Last-Modified follow the data version, so unchanged data answers 304 Not Modified
+  // - ?since=<version> returns only the entries changed after that version (see TrendsDataStore.getChangesSince)
+  app.get('/data/trends', (req, res) => {
+    const data = harvestService.getCurrentData();
+    const version = data.version;
+    const { since } = req.query;
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: `Invalid since "${since}" (expected a version from a previous response)` });
+    }
+
+    if (sendNotModified(req, res, version)) return;
+
+    // A cursor ahead of the current version (e.g. data restored from a baseline) gets the full file
+    if (since && version && since <= version) {
+      return res.json(dataStore.getChangesSince(since));
+    }
+    res.json(data);
+  });
+
+  // One country of the data file; the frontend loads only the selected country's shard
+  // - ETag / Last-Modified follow the shard version, which only moves when that country changes
+  // - ?since=<shard version> returns only the entries changed after it
+  app.get('/data/trends/:country([A-Za-z]{2})', (req, res) => {
+    const country = req.params.country.toUpperCase();
+    const { since } = req.query;
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: `Invalid since "${since}" (expected a version from a previous response)` });
+    }
+    const version = dataStore.getCountryVersion(country);
+    if (!version) {
+      return res.status(404).json({ error: `No trends data for country ${country}` });
+    }
+    if (sendNotModified(req, res, version)) return;
+
+    res.json(dataStore.getShard(country, since && since <= version ? since : null));
+  });
+
+  // Which shards exist, their versions, entry counts and freshness
+  app.get('/data/manifest', (req, res) => {
+    res.set('Cache-Control', 'no-cache');
+    res.json(dataStore.getManifest({
+      staleAfterMs: config.harvest.staleAfterMs,
+      shardUrl: (country) => `/data/trends/${country}`
+    }));
+  });
+
+  // Score history of one Pokémon, per country (append-only snapshots, see services/HistoryStore.js)
+  // Usage: GET /data/history?pokemon=pikachu&country=US
+  app.get('/data/history', (req, res) => {
+    if (!historyStore) {
+      return res.status(404).json({ error: 'Score history is disabled (HISTORY_ENABLED=false)' });
+    }
+    const { pokemon, country, timeframe, since, includeFallback, limit } = req.query;
+    const invalid = validatePokemonName(pokemon);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: `Invalid since "${since}"` });
+    }
+
+    const pokemonName = String(pokemon).toLowerCase();
+    const found = historyStore.query({ pokemonName, countryCode: country ? String(country).toUpperCase() : null, timeframe, since, includeFallback, limit });
+    const countries = {};
+    for (const [countryCode, snapshots] of Object.entries(found)) {
+      const real = snapshots.filter(s => !s.fallback && s.score != null);
+      const latestScore = real.at(-1)?.score ?? null;
+      const previousScore = real.at(-2)?.score ?? null;
+      countries[countryCode] = {
+        snapshots: snapshots.map(({ pokemonName: _name, countryCode: _country, timeframe: _timeframe, ...snapshot }) => snapshot),
+        latestScore,
+        previousScore,
+        change: latestScore != null && previousScore != null ? Math.round((latestScore - previousScore) * 100) / 100 : null
+      };
+    }
+    res.json({ pokemonName, timeframe, countries });
+  });
+
+  // Admin endpoint: per-proxy health (requests, 429s, HTML blocks, quarantine)
+  app.get('/admin/proxies', requireRead, (req, res) => {
+    res.json(proxyPool.getStatus());
+  });
+
+  // Admin endpoint: webhook targets and recent deliveries
+  app.get('/admin/webhooks', requireRead, (req, res) => {
+    res.json({ ...webhookNotifier.getStatus(), deliveries: webhookNotifier.getDeliveries(req.query.limit) });
+  });
+
+  // Admin endpoint: fire a `test` event at every target and report each result (no retries)
+  app.post('/admin/webhooks/test', requireControl, async (req, res) => {
+    if (!webhookNotifier.enabled) {
+      return res.status(400).json({ error: 'No webhook URLs configured (WEBHOOK_URLS)' });
+    }
+    const deliveries = await webhookNotifier.notify('test', { message: 'Test notification', requestedBy: req.adminToken }, { retry: false });
+    res.json({ deliveries });
+  });
+
+  // Admin endpoint: effective configuration (secrets redacted) and where each value came from
+  app.get('/admin/config', requireRead, (req, res) => {
+    res.json(redactConfig(config));
+  });
+
+  // Admin endpoint: trigger background harvest
+  app.post('/admin/harvest', requireControl, async (req, res) => {
+    const { targetPokemon, targetCountries, aggressive, normalize, includeRegions, timeframe = DEFAULT_TIMEFRAME, method = DEFAULT_SCORING_METHOD } = req.body || {};
+
+    const result = await harvestService.startBackgroundHarvest({
+      concurrency: 1,
+      minTime: aggressive ? config.harvest.aggressiveMinTimeMs : config.harvest.minTimeMs,
+      maxRetries: aggressive ? config.harvest.maxRetries + 2 : config.harvest.maxRetries,
+      targetPokemon,
+      targetCountries,
+      normalize: !!normalize,
+      includeRegions: !!includeRegions,
+      timeframe,
+      method
+    });
+
+    res.json(result);
+  });
+
+  // Admin endpoint: rescale harvested scores onto the shared anchor scale
+  app.post('/admin/normalize', requireControl, (req, res) => {
+    const { targetPokemon, targetCountries } = req.body || {};
+    res.json(harvestService.startBackgroundNormalization({ targetPokemon, targetCountries }));
+  });
+
+  // Admin endpoint: harvest status
+  app.get('/admin/harvest/status', requireRead, (req, res) => {
+    res.json({
+      isRunning: harvestService.isRunning,
+      isNormalizing: harvestService.isNormalizing,
+      progress: harvestService.getProgress(),
+      lastUpdate: harvestService.getLastUpdateTime()
+    });
+  });
+
+  // Admin endpoint: live progress stream (Server-Sent Events) for harvests, the refresh and the breaker
+  // Usage: curl -N -H "Authorization: Bearer $TOKEN" /admin/events?source=harvest
+  app.get('/admin/events', requireRead, progressStream.handler({
+    snapshot: () => ({
+      harvest: { isRunning: harvestService.isRunning, progress: harvestService.getProgress(), etaMs: harvestService.getEtaMs() },
+      refresh: refreshService.getStatus(),
+      upstream: circuitBreaker.getStatus()
+    })
+  }));
+
+  // Admin endpoint: refresh service status
+  app.get('/admin/refresh/status', requireRead, (req, res) => {
+    res.json(refreshService.getStatus());
+  });
+
+  app.post('/admin/refresh/start', requireControl, async (req, res) => {
+    const started = await refreshService.start();
+    res.json({ success: started, message: started ? 'Started' : 'Already running' });
+  });
+
+  app.post('/admin/refresh/stop', requireControl, async (req, res) => {
+    await refreshService.stop();
+    res.json({ success: true, message: 'Stopped' });
+  });
+
+  app.post('/admin/refresh/pause', requireControl, (req, res) => {
+    refreshService.pause();
+    res.json({ success: true, message: 'Paused' });
+  });
+
+  app.post('/admin/refresh/resume', requireControl, (req, res) => {
+    refreshService.resume();
+    res.json({ success: true, message: 'Resumed' });
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    const upstream = circuitBreaker.getStatus();
+    res.json({
+      status: upstream.state === 'closed' ? 'ok' : 'degraded',
+      cacheSize: trendsCache.size,
+      uptime: process.uptime(),
+      upstream
+    });
+  });
+
+  let server = null;
+  let refreshTimer = null;
+
+  /**
+   * Listen on `port` and start background work: known-name loading, the continuous refresh
+   * after its cooldown, and the initial harvest when there is no data file yet
+   * @param {number} port - Defaults to config.server.port (0 picks a free port)
+   * @returns {Promise<http.Server>}
+   */
+  async function start(port = config.server.port) {
+    await backend.load();
+    server = await new Promise((resolve, reject) => {
+      const listener = app.listen(port, () => resolve(listener));
+      listener.once('error', reject);
+    });
+    log.info(`🚀 Google Trends Service running on http://localhost:${server.address().port}`);
+    log.info(`📊 Endpoint: GET /trends?pokemonName=pikachu&countryCode=US`);
+    log.info(`📦 Data endpoint: GET /data/trends`);
+    log.info(`🗂️  Shards: GET /data/manifest, GET /data/trends/US`);
+    loadKnownPokemon().catch(() => {});
+
+    // Auto-start continuous refresh after cooldown period (REFRESH_COOLDOWN_HOURS; 0 after the initial cooldown)
+    refreshTimer = setTimeout(() => {
+      log.info('🚀 Starting continuous refresh service...');
+      refreshService.start();
+    }, config.refresh.cooldownHours * 60 * 60 * 1000);
+
+    // Auto-start harvest on first run if no data file exists (unless HARVEST_AUTO_START=false)
+    if (!dataStore.exists()) {
+      if (config.harvest.autoStart) {
+        log.info('🌱 No trends data found, starting initial harvest...');
+        await harvestService.startBackgroundHarvest({ aggressive: true });
+      } else {
+        log.info('🌱 No trends data found; initial harvest disabled');
+      }
+    } else {
+      log.info(`📦 Loaded existing trends data: ${harvestService.getCurrentData()?.metadata?.totalPokemon || 0} Pokémon`);
+    }
+    return server;
+  }
+
+  /**
+   * Stop listening, stop the refresh service and flush the trends cache
+   */
+  async function stop() {
+    clearTimeout(refreshTimer);
+    progressStream.close();
+    if (server) {
+      await new Promise(resolve => server.close(() => resolve()));
+      server = null;
+    }
+    await backend.shutdown();
+  }
+
+  return { app, backend, start, stop };
+}
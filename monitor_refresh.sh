@@ -4,6 +4,8 @@
 # Quick status checker for the continuous refresh system
 
 API_BASE="http://localhost:3002"
+# Admin token with at least the "read" scope (see ADMIN_TOKENS in .env.example)
+ADMIN_TOKEN="${ADMIN_TOKEN:-}"
 
 echo "========================================"
 echo "  Continuous Refresh System Monitor"
@@ -21,7 +23,7 @@ echo "✅ Server is running"
 echo ""
 
 # Get refresh status
-STATUS=$(curl -s "${API_BASE}/admin/refresh/status")
+STATUS=$(curl -s -H "Authorization: Bearer ${ADMIN_TOKEN}" "${API_BASE}/admin/refresh/status")
 
 if [ $? -ne 0 ]; then
     echo "❌ Failed to get refresh status"
@@ -82,9 +84,9 @@ echo ""
 echo "========================================"
 echo "  Commands:"
 echo "========================================"
-echo "  Start:   curl -X POST ${API_BASE}/admin/refresh/start"
-echo "  Stop:    curl -X POST ${API_BASE}/admin/refresh/stop"
-echo "  Pause:   curl -X POST ${API_BASE}/admin/refresh/pause"
-echo "  Resume:  curl -X POST ${API_BASE}/admin/refresh/resume"
-echo "  Status:  curl ${API_BASE}/admin/refresh/status | jq"
+echo "  Start:   curl -X POST -H \"Authorization: Bearer \$ADMIN_TOKEN\" ${API_BASE}/admin/refresh/start"
+echo "  Stop:    curl -X POST -H \"Authorization: Bearer \$ADMIN_TOKEN\" ${API_BASE}/admin/refresh/stop"
+echo "  Pause:   curl -X POST -H \"Authorization: Bearer \$ADMIN_TOKEN\" ${API_BASE}/admin/refresh/pause"
+echo "  Resume:  curl -X POST -H \"Authorization: Bearer \$ADMIN_TOKEN\" ${API_BASE}/admin/refresh/resume"
+echo "  Status:  curl -H \"Authorization: Bearer \$ADMIN_TOKEN\" ${API_BASE}/admin/refresh/status | jq"
 echo ""
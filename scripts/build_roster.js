@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * @file build_roster.js
+ * Regenerate shared/roster.json from PokéAPI generation + species data.
+ * Refreshes the species list (name, generation) and each generation's ID range.
+ * Release dates, `releaseRegions` and hand-curated `overrides` (DLC, event and
+ * spin-off debuts) are not available from PokéAPI and are kept from the existing file.
+ * Usage:
+ *   node scripts/build_roster.js [--output=shared/roster.json]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const POKEAPI = 'https://pokeapi.co/api/v2';
+const RETRIES = 2;
+const RETRY_DELAY = 500; // ms
+
+async function fetchJson(url) {
+  for (let attempt = 0; attempt <= RETRIES; attempt++) {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return await res.json();
+    } catch (err) {
+      if (attempt < RETRIES) {
+        await new Promise(r => setTimeout(r, RETRY_DELAY * (attempt + 1)));
+      } else {
+        throw err;
+      }
+    }
+  }
+}
+
+function parseIdFromUrl(url) {
+  const parts = url.split('/').filter(Boolean);
+  return Number(parts[parts.length - 1]);
+}
+
+async function main() {
+  const outputArg = process.argv.slice(2).find(a => a.startsWith('--output='));
+  const output = path.resolve(outputArg ? outputArg.split('=')[1] : 'shared/roster.json');
+
+  const roster = JSON.parse(await fs.readFile(output, 'utf8'));
+  const generationList = await fetchJson(`${POKEAPI}/generation?limit=100`);
+  const species = {};
+
+  for (const { url } of generationList.results || []) {
+    const gen = await fetchJson(url);
+    const genNumber = gen.id;
+    const ids = [];
+
+    for (const sp of gen.pokemon_species || []) {
+      const id = parseIdFromUrl(sp.url);
+      species[id] = { name: sp.name, generation: genNumber };
+      ids.push(id);
+    }
+
+    const existing = roster.generations[genNumber];
+    if (!existing) {
+      console.warn(`⚠️  New generation ${gen.name}: add its debut game and release dates to ${output}`);
+    }
+    roster.generations[genNumber] = {
+      ...(existing || { debutGame: null, releases: {} }),
+      name: gen.name,
+      region: gen.main_region?.name || existing?.region || null,
+      firstId: Math.min(...ids),
+      lastId: Math.max(...ids)
+    };
+    console.log(`${gen.name}: ${ids.length} species (${roster.generations[genNumber].firstId}-${roster.generations[genNumber].lastId})`);
+  }
+
+  roster.species = Object.fromEntries(Object.entries(species).sort((a, b) => Number(a[0]) - Number(b[0])));
+  roster.generatedAt = new Date().toISOString();
+
+  await fs.writeFile(output, JSON.stringify(roster, null, 2) + '\n', 'utf8');
+  console.log(`✅ Wrote ${Object.keys(species).length} species to ${output}`);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
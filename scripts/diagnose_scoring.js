@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 // Diagnose why Mewtwo scores higher than Pikachu
 
+import { DEFAULT_SCORING_METHOD, SCORING_STRATEGIES, scoreTimeline } from '../services/ScoringStrategies.js';
+
 const TRENDS_URL = 'http://localhost:3002/trends';
 
 async function diagnose(name, id) {
@@ -9,7 +11,7 @@ async function diagnose(name, id) {
   const data = await res.json();
   
   console.log(`\n=== ${name.toUpperCase()} (ID ${id}) ===`);
-  console.log(`Score (weighted):    ${data.score}`);
+  console.log(`Score (${data.estimateMethod ?? 'n/a'}): ${data.score}`);
   console.log(`Avg Score (simple):  ${data.avgScore}`);
   console.log(`Max Score (peak):    ${data.maxScore}`);
   console.log(`Recent Avg:          ${data.recentAvg ?? 'N/A'}`);
@@ -29,14 +31,19 @@ async function diagnose(name, id) {
     console.log(`Timeline: ${vals.length} points, avg=${avg}, max=${max}, min=${min}`);
     console.log(`Last 5 weeks: [${last5.join(', ')}]`);
     
-    // Verify weighted calc
-    const recent = vals.slice(-30);
-    const recentAvg = recent.reduce((a,b)=>a+b,0) / recent.length;
-    const calculated = (parseFloat(avg) * 0.85) + (max * 0.10) + (recentAvg * 0.05);
-    console.log(`\nWeighted formula check:`);
-    console.log(`  (${avg} * 0.85) + (${max} * 0.10) + (${recentAvg.toFixed(2)} * 0.05) = ${calculated.toFixed(2)}`);
+    // Verify the backend score against the shared scoring registry
+    const method = data.estimateMethod || DEFAULT_SCORING_METHOD;
+    const calculated = scoreTimeline(vals, method).score;
+    console.log(`\nScoring check (${method}):`);
+    console.log(`  Recomputed: ${calculated}`);
     console.log(`  Backend returned: ${data.score}`);
     console.log(`  Match: ${Math.abs(calculated - data.score) < 0.1 ? '✓' : '✗ MISMATCH'}`);
+
+    // Same timeline under every available strategy
+    console.log(`\nAll strategies:`);
+    for (const name of Object.keys(SCORING_STRATEGIES)) {
+      console.log(`  ${name.padEnd(16)} ${scoreTimeline(vals, name).score}`);
+    }
   } else {
     console.log('⚠️  No timeline data available');
   }
@@ -61,6 +68,21 @@ async function main() {
     console.log('   This likely explains the inversion. Try restarting the server or checking API connectivity.');
   }
   
+  // Per-Pokémon scores are each normalized to their own peak; compare on the shared anchor scale instead
+  const compareRes = await fetch(`${TRENDS_URL}/compare?names=pikachu,mewtwo&countryCode=US`);
+  if (compareRes.ok) {
+    const compare = await compareRes.json();
+    const anchored = compare.scores || {};
+    console.log(`\n=== SHARED SCALE (anchor: ${compare.anchor} = 100) ===`);
+    console.log(`Pikachu normalized: ${anchored.pikachu?.normalizedScore ?? 'N/A'}`);
+    console.log(`Mewtwo normalized:  ${anchored.mewtwo?.normalizedScore ?? 'N/A'}`);
+    if (compare.failures?.length) {
+      console.log(`⚠️  ${compare.failures.length} comparison batch(es) failed: ${compare.failures[0].error}`);
+    }
+  } else {
+    console.log(`\n⚠️  Shared-scale comparison unavailable (HTTP ${compareRes.status})`);
+  }
+  
   if (pikachu.cached || mewtwo.cached) {
     console.log('\n⚠️  One or both are CACHED (may be stale data from 24h ago)');
     console.log('   Restart server to clear cache.');
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * @file fake_trends_server.js
+ * Run the fake Google Trends upstream (services/FakeTrendsServer.js) for offline end-to-end testing.
+ * Usage:
+ *   node scripts/fake_trends_server.js [--port=4010] [--behavior=ok] [--delay=2000]
+ *     [--rule=html:mewtwo:3] [--rule=rate_limit::2]
+ * A rule is behavior[:keyword[:times]]; rules can also be added at runtime via POST /__fake/rules.
+ * Point the backend at it with TRENDS_UPSTREAM_URL=http://127.0.0.1:4010 (TRENDS_PROVIDER=google).
+ */
+
+import { FakeTrendsServer, FAKE_BEHAVIORS } from '../services/FakeTrendsServer.js';
+
+function parseArgs() {
+  const options = { port: 4010, behavior: 'ok', delayMs: 2000, rules: [] };
+  for (const arg of process.argv.slice(2)) {
+    const [flag, value = ''] = arg.split(/=(.*)/s);
+    if (flag === '--port') {
+      options.port = parseInt(value, 10);
+    } else if (flag === '--behavior') {
+      options.behavior = value;
+    } else if (flag === '--delay') {
+      options.delayMs = parseInt(value, 10);
+    } else if (flag === '--rule') {
+      const [behavior, keyword, times] = value.split(':');
+      options.rules.push({ behavior, keyword: keyword || null, times: times ? parseInt(times, 10) : Infinity });
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs();
+  const server = new FakeTrendsServer({ behavior: options.behavior, delayMs: options.delayMs });
+  for (const rule of options.rules) server.addRule(rule);
+
+  const url = await server.listen(options.port);
+  console.log(`🧪 Fake Google Trends upstream on ${url}`);
+  console.log(`Behaviors: ${FAKE_BEHAVIORS.join(', ')} (default: ${options.behavior})`);
+  console.log(`Backend: TRENDS_UPSTREAM_URL=${url} node server.js`);
+  console.log(`State:   curl ${url}/__fake/state`);
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, async () => {
+      await server.close();
+      process.exit(0);
+    });
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
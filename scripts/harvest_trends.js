@@ -3,51 +3,16 @@
  * @file harvest_trends.js
  * CLI script for one-time aggressive Pokemon trends harvesting.
  * Usage:
- *   node scripts/harvest_trends.js [--fast|--aggressive] [--countries=US,JP] [--limit=151]
+ *   node scripts/harvest_trends.js [--fast|--aggressive] [--countries=US,JP] [--limit=151] [--timeframe=12m] [--method=preciseWeighted] [--regions]
+ *     [--output=data/pokemon_trends.json] [--proxy=http://host:port] [--user-agent=...]
+ * Runs the harvest in-process (services/backend.js) with the same configuration
+ * as the server (env / CONFIG_FILE); no running server is needed.
  */
 
-import { HarvestService } from '../services/HarvestService.js';
-
-// Import trends fetcher from server.js (we'll need to export fetchTrendsData)
-const TRENDS_URL = process.env.TRENDS_API_URL || 'http://localhost:3002';
-
-/**
- * Fetch Pokemon list from PokéAPI
- */
-async function fetchPokemonList(limit = 0) {
-  const url = limit > 0 
-    ? `https://pokeapi.co/api/v2/pokemon-species?limit=${limit}`
-    : `https://pokeapi.co/api/v2/pokemon-species?limit=10000`;
-  
-  const response = await fetch(url);
-  const data = await response.json();
-  
-  return (data.results || []).map(r => {
-    const parts = r.url.split('/').filter(Boolean);
-    const id = Number(parts[parts.length - 1]);
-    return { name: r.name, id };
-  });
-}
-
-/**
- * Call local trends API endpoint
- */
-async function fetchTrendsData(pokemonName, countryCode, pokemonId) {
-  let url = `${TRENDS_URL}/trends?pokemonName=${encodeURIComponent(pokemonName)}&countryCode=${countryCode}&pokemonId=${pokemonId}`;
-  if (global.globalOptions && global.globalOptions.proxy) {
-    url += `&proxyUrl=${encodeURIComponent(global.globalOptions.proxy)}`;
-  }
-  if (global.globalOptions && global.globalOptions.userAgent) {
-    url += `&userAgent=${encodeURIComponent(global.globalOptions.userAgent)}`;
-  }
-
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}`);
-  }
-  
-  return await response.json();
-}
+import { loadConfig } from '../services/config.js';
+import { createBackend, fetchPokemonSpeciesList } from '../services/backend.js';
+import { TIMEFRAMES, isValidTimeframe } from '../services/timeframes.js';
+import { DEFAULT_SCORING_METHOD, SCORING_STRATEGIES, isValidScoringMethod } from '../services/ScoringStrategies.js';
 
 /**
  * Parse CLI arguments
@@ -58,10 +23,14 @@ function parseArgs() {
     mode: 'balanced', // fast, balanced, aggressive
     countries: null,
     limit: 0,
+    timeframe: '12m', // 7d, 90d, 12m, 5y, all
+    regions: false,
+    method: DEFAULT_SCORING_METHOD,
     output: './data/pokemon_trends.json'
   };
 
-  for (const arg of args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     if (arg === '--fast') {
       options.mode = 'fast';
     } else if (arg === '--aggressive') {
@@ -70,8 +39,16 @@ function parseArgs() {
       options.countries = arg.split('=')[1].split(',');
     } else if (arg.startsWith('--limit=')) {
       options.limit = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--method=')) {
+      options.method = arg.split('=')[1];
+    } else if (arg === '--regions') {
+      options.regions = true;
+    } else if (arg.startsWith('--timeframe=')) {
+      options.timeframe = arg.split('=')[1];
     } else if (arg.startsWith('--output=')) {
       options.output = arg.split('=')[1];
+    } else if (arg === '--output') {
+      options.output = args[++i];
     } else if (arg.startsWith('--proxy=')) {
       options.proxy = arg.split('=')[1];
     } else if (arg.startsWith('--user-agent=')) {
@@ -82,15 +59,36 @@ function parseArgs() {
   return options;
 }
 
+/**
+ * Format milliseconds as "1h 05m" / "4m 10s"
+ */
+function formatDuration(ms) {
+  const totalSec = Math.round(ms / 1000);
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const sec = totalSec % 60;
+  return h > 0 ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m ${String(sec).padStart(2, '0')}s`;
+}
+
 /**
  * Main harvest function
  */
 async function main() {
   const options = parseArgs();
+  if (!isValidTimeframe(options.timeframe)) {
+    console.error(`Invalid --timeframe "${options.timeframe}" (expected one of: ${Object.keys(TIMEFRAMES).join(', ')})`);
+    process.exit(1);
+  }
+  if (!isValidScoringMethod(options.method)) {
+    console.error(`Invalid --method "${options.method}" (expected one of: ${Object.keys(SCORING_STRATEGIES).join(', ')})`);
+    process.exit(1);
+  }
   
   console.log('🌱 Pokemon Trends Harvester');
   console.log(`Mode: ${options.mode}`);
   console.log(`Limit: ${options.limit || 'all'}`);
+  console.log(`Timeframe: ${options.timeframe}`);
+  console.log(`Scoring method: ${options.method}`);
   console.log(`Countries: ${options.countries ? options.countries.join(', ') : 'default (US, JP, ES, GB, DE, FR)'}`);
   console.log(`Output: ${options.output}\n`);
 
@@ -116,36 +114,54 @@ async function main() {
       console.log('⚖️  Balanced mode: ~90 min, expect ~10% fallback rate');
   }
 
-  // Save options for use by fetchTrendsData
-  global.globalOptions = options;
-  // Create harvest service
-  const service = new HarvestService(fetchTrendsData, () => fetchPokemonList(options.limit));
+  // Same configuration as the server; --proxy and --user-agent override it
+  const config = loadConfig({
+    env: {
+      ...process.env,
+      ...(options.proxy ? { PROXY_URL: options.proxy } : {}),
+      ...(options.userAgent ? { TRENDS_USER_AGENT: options.userAgent } : {})
+    }
+  });
+  const backend = createBackend(config, {
+    dataFile: options.output,
+    pokemonListFetcher: () => fetchPokemonSpeciesList(options.limit || 10000)
+  });
+  await backend.load();
+  const service = backend.harvestService;
 
   // Start harvest (this will run synchronously in the CLI)
   console.log('\nStarting harvest...\n');
   
   const startTime = Date.now();
-  
-  await service.startBackgroundHarvest({
+
+  // Redraw the progress bar on every entry instead of polling
+  service.on('progress', (progress) => {
+    if (progress.total > 0) {
+      const pct = ((progress.current / progress.total) * 100).toFixed(1);
+      const bar = '='.repeat(Math.round(progress.current / progress.total * 30));
+      const space = ' '.repeat(30 - bar.length);
+      const eta = progress.etaMs != null ? ` ETA ${formatDuration(progress.etaMs)}` : '';
+      process.stdout.write(`\r[${bar}${space}] ${pct}% ${progress.current}/${progress.total} (${progress.successCount} success, ${progress.fallbackCount} fallback)${eta}   `);
+    }
+  });
+  const finished = new Promise(resolve => {
+    service.once('completed', resolve);
+    service.once('failed', resolve);
+  });
+
+  const started = await service.startBackgroundHarvest({
     concurrency,
     minTime,
     maxRetries,
     targetCountries: options.countries,
+    timeframe: options.timeframe,
+    includeRegions: options.regions,
+    method: options.method,
     aggressive: options.mode === 'aggressive'
   });
 
-  // Wait for harvest to complete (poll every second)
-  while (service.isRunning) {
-    await new Promise(r => setTimeout(r, 1000));
-    const progress = service.getProgress();
-    
-    // Print progress bar
-    if (progress.total > 0) {
-      const pct = ((progress.current / progress.total) * 100).toFixed(1);
-      const bar = '='.repeat(Math.round(progress.current / progress.total * 30));
-      const space = ' '.repeat(30 - bar.length);
-      process.stdout.write(`\r[${bar}${space}] ${pct}% ${progress.current}/${progress.total} (${progress.successCount} success, ${progress.fallbackCount} fallback)`);
-    }
+  if (started.status === 'started') {
+    await finished;
   }
 
   const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
@@ -156,6 +172,7 @@ async function main() {
   console.log(`Success: ${progress.successCount}/${progress.total} (${((progress.successCount / progress.total) * 100).toFixed(1)}%)`);
   console.log(`Fallback: ${progress.fallbackCount}/${progress.total} (${((progress.fallbackCount / progress.total) * 100).toFixed(1)}%)`);
   console.log(`Data saved to: ${options.output}`);
+  await backend.shutdown();
 }
 
 main().catch(err => {
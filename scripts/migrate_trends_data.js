@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * @file migrate_trends_data.js
+ * Upgrade a trends data file to the current schema version in place (see services/dataSchema.js).
+ * The server also migrates on load, but only writes the result on its next save; this rewrites the
+ * file right away, keeping the original as <file>.bak.
+ * Usage:
+ *   node scripts/migrate_trends_data.js [--file=data/pokemon_trends.json] [--check] [--dry-run] [--no-backup]
+ *   --check    only report; exits 1 when the file needs migrating or does not match the schema
+ *   --dry-run  migrate and validate in memory without writing
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { TrendsDataStore } from '../services/TrendsDataStore.js';
+import { SCHEMA_VERSION } from '../services/dataSchema.js';
+
+function parseArgs() {
+  const options = { file: './data/pokemon_trends.json', check: false, dryRun: false, backup: true };
+  for (const arg of process.argv.slice(2)) {
+    if (arg.startsWith('--file=')) {
+      options.file = arg.split('=')[1];
+    } else if (arg === '--check') {
+      options.check = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--no-backup') {
+      options.backup = false;
+    } else {
+      console.error(`Unknown argument "${arg}"`);
+      process.exit(1);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs();
+  const file = path.resolve(options.file);
+  try {
+    await fs.access(file);
+  } catch {
+    console.error(`No data file at ${file}`);
+    process.exit(1);
+  }
+
+  const store = new TrendsDataStore(file);
+  const status = store.getSchemaStatus();
+  const from = status.migratedFrom ?? status.schemaVersion;
+  console.log(`\nFile: ${file}`);
+  console.log(`Schema version: ${from} (current: ${SCHEMA_VERSION})`);
+
+  if (status.readOnly) {
+    console.error('❌ The file was written by a newer version; update the code instead of migrating.');
+    process.exit(1);
+  }
+  for (const migration of status.migrations) console.log(`  • ${migration}`);
+  if (status.errorCount > 0) {
+    console.log(`⚠️  ${status.errorCount} schema problem(s) after migration:`);
+    for (const error of status.errors) console.log(`  - ${error}`);
+  }
+
+  const needsMigration = status.migrations.length > 0;
+  if (options.check) {
+    console.log(needsMigration ? '❌ Migration needed' : '✅ Up to date');
+    process.exit(needsMigration || status.errorCount > 0 ? 1 : 0);
+  }
+  if (!needsMigration) {
+    console.log('✅ Already at the current schema version, nothing to do');
+    return;
+  }
+  if (options.dryRun) {
+    console.log('Dry run: file not written');
+    return;
+  }
+
+  if (options.backup) {
+    await fs.copyFile(file, `${file}.bak`);
+    console.log(`💾 Backup: ${file}.bak`);
+  }
+  await store.save();
+  console.log(`✅ Migrated to schema ${SCHEMA_VERSION} (version ${store.getVersion()})`);
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
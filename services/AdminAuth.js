@@ -0,0 +1,164 @@
+/**
+ * @file AdminAuth.js
+ * Token authentication for /admin routes.
+ * Tokens carry scopes: `read` (status, metrics) and `control` (harvests, cache
+ * clearing, refresh start/stop). `control` implies `read`. With no tokens
+ * configured every admin request is denied.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auth');
+
+export const ADMIN_SCOPES = ['read', 'control'];
+
+// Scopes granted implicitly by a scope
+const IMPLIED_SCOPES = {
+  control: ['read']
+};
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Parse the ADMIN_TOKENS env format: "name:token:scope+scope,name:token:scope"
+ * @param {string} spec
+ * @returns {Array<{ name: string, token: string, scopes: Array<string> }>}
+ */
+export function parseTokenSpec(spec) {
+  if (!spec) return [];
+  return String(spec).split(',').map(s => s.trim()).filter(Boolean).map((item, i) => {
+    const [name, token, scopes] = item.split(':');
+    if (!token) {
+      // Bare token: full access, named by position
+      return { name: `token${i + 1}`, token: name, scopes: ['control'] };
+    }
+    return { name, token, scopes: (scopes || 'read').split('+').map(s => s.trim()).filter(Boolean) };
+  });
+}
+
+export class AdminAuth {
+  /**
+   * @param {Array<{ name, token, scopes }>} tokens
+   */
+  constructor(tokens = []) {
+    this.tokens = [];
+    for (const { name, token, scopes } of tokens) {
+      if (!token) continue;
+      const unknown = (scopes || []).filter(s => !ADMIN_SCOPES.includes(s));
+      if (unknown.length > 0) {
+        log.warn(`⚠️  Admin token "${name}" has unknown scopes: ${unknown.join(', ')}`);
+      }
+      const granted = new Set();
+      for (const scope of scopes || []) {
+        granted.add(scope);
+        for (const implied of IMPLIED_SCOPES[scope] || []) granted.add(implied);
+      }
+      this.tokens.push({ name, digest: digest(token), scopes: granted });
+    }
+    this.stats = { allowed: 0, denied: 0 };
+  }
+
+  /**
+   * Load tokens from the `admin` config section
+   * @param {Object} adminConfig - { tokens: token spec string, tokensFile: path }
+   * @returns {AdminAuth}
+   */
+  static fromConfig({ tokens: spec, tokensFile } = {}) {
+    const tokens = parseTokenSpec(spec);
+    if (tokensFile) {
+      try {
+        const fileTokens = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
+        tokens.push(...(Array.isArray(fileTokens) ? fileTokens : []));
+      } catch (err) {
+        log.error(`Failed to load admin tokens from ${tokensFile}`, { error: err });
+      }
+    }
+    const auth = new AdminAuth(tokens);
+    if (auth.tokens.length === 0) {
+      log.warn('⚠️  No admin tokens configured (ADMIN_TOKENS): all /admin routes will be denied');
+    } else {
+      log.info(`🔐 Loaded ${auth.tokens.length} admin token(s)`);
+    }
+    return auth;
+  }
+
+  /**
+   * Find the token matching a presented secret. Compares against every token in
+   * constant time so neither the match position nor the token content leaks.
+   * @param {string} presented
+   * @returns {Object|null} Token record
+   */
+  authenticate(presented) {
+    if (!presented) return null;
+    const presentedDigest = digest(presented);
+    let match = null;
+    for (const token of this.tokens) {
+      if (crypto.timingSafeEqual(presentedDigest, token.digest) && !match) {
+        match = token;
+      }
+    }
+    return match;
+  }
+
+  /**
+   * Token presented with a request: `Authorization: Bearer <token>` or `X-Admin-Token: <token>`
+   * @param {Object} req - Express request
+   * @returns {string}
+   */
+  presentedToken(req) {
+    const header = req.get('authorization') || '';
+    return header.toLowerCase().startsWith('bearer ')
+      ? header.slice(7).trim()
+      : (req.get('x-admin-token') || '').trim();
+  }
+
+  /**
+   * Reject a request (401 without a valid token, 403 with one) and count it as denied
+   */
+  deny(req, res, { presented, token, scope }) {
+    this.stats.denied++;
+    const reason = !presented ? 'missing token' : (!token ? 'invalid token' : `token "${token.name}" lacks scope "${scope}"`);
+    log.warn(`🚫 Denied ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+    if (!token) {
+      res.set('WWW-Authenticate', 'Bearer realm="admin"');
+      return res.status(401).json({ error: 'Unauthorized', ...(scope ? { requiredScope: scope } : {}) });
+    }
+    return res.status(403).json({ error: 'Forbidden', requiredScope: scope });
+  }
+
+  /**
+   * Express middleware rejecting requests without a valid token, whatever its scope.
+   * Guards a whole route prefix ahead of request validation; requests it lets through
+   * are decided (and counted) by the route's require(scope) check.
+   */
+  authenticated() {
+    return (req, res, next) => {
+      const presented = this.presentedToken(req);
+      const token = this.authenticate(presented);
+      if (!token) return this.deny(req, res, { presented, token });
+      req.adminToken = token.name;
+      next();
+    };
+  }
+
+  /**
+   * Express middleware requiring a token with the given scope. This is the
+   * route's final check, so it counts the request as allowed or denied.
+   * @param {string} scope - 'read' or 'control'
+   */
+  require(scope) {
+    return (req, res, next) => {
+      const presented = this.presentedToken(req);
+      const token = this.authenticate(presented);
+      if (!token || !token.scopes.has(scope)) return this.deny(req, res, { presented, token, scope });
+
+      this.stats.allowed++;
+      req.adminToken = token.name;
+      next();
+    };
+  }
+}
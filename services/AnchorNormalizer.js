@@ -0,0 +1,120 @@
+/**
+ * @file AnchorNormalizer.js
+ * Cross-batch normalization of Google Trends scores.
+ *
+ * Google normalizes every request to its own peak of 100, so scores fetched one
+ * Pokémon at a time are not comparable. This service queries candidates in groups
+ * of up to five terms that always include a fixed anchor (e.g. Pikachu), then
+ * rescales each candidate against the anchor: the anchor is 100 on the shared
+ * scale and a candidate searched half as often as the anchor scores 50.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('normalizer');
+
+export class AnchorNormalizer {
+  /**
+   * @param {Function} compareClient - (terms: string[], countryCode) => Promise<parsed interestOverTime response>
+   * @param {Function} termResolver - (pokemonName) => Promise<string> search term (topic ID or keyword)
+   * @param {Object} options - { anchor, groupSize }
+   */
+  constructor(compareClient, termResolver, options = {}) {
+    this.compareClient = compareClient;
+    this.termResolver = termResolver;
+    this.anchor = (options.anchor || 'pikachu').toLowerCase();
+    this.groupSize = Math.min(5, Math.max(2, options.groupSize || 5)); // Google compares at most 5 terms
+  }
+
+  /**
+   * Split candidates into batches that leave room for the anchor
+   * @param {Array<string>} names
+   * @returns {Array<Array<string>>}
+   */
+  buildBatches(names) {
+    const candidates = Array.from(new Set(names.map(n => String(n).toLowerCase()))).filter(n => n !== this.anchor);
+    const perBatch = this.groupSize - 1;
+    const batches = [];
+    for (let i = 0; i < candidates.length; i += perBatch) {
+      batches.push(candidates.slice(i, i + perBatch));
+    }
+    return batches;
+  }
+
+  /**
+   * Rescale one comparison response onto the anchor scale
+   * @param {Array<Object>} timelineData - `default.timelineData` of a multi-term interestOverTime response
+   * @param {number} termCount - Number of terms in the request
+   * @param {number} anchorIndex - Position of the anchor in the request
+   * @returns {Array<{mean: number, normalizedScore: number|null}>} One entry per term
+   */
+  static rescaleBatch(timelineData, termCount, anchorIndex = 0) {
+    const sums = new Array(termCount).fill(0);
+    let points = 0;
+    for (const point of timelineData || []) {
+      if (!Array.isArray(point?.value) || point.value.length < termCount) continue;
+      for (let i = 0; i < termCount; i++) sums[i] += Number(point.value[i]) || 0;
+      points++;
+    }
+    const means = sums.map(sum => (points > 0 ? sum / points : 0));
+    const anchorMean = means[anchorIndex];
+    return means.map(mean => ({
+      mean: Number(mean.toFixed(2)),
+      // Without anchor volume there is nothing to scale against
+      normalizedScore: anchorMean > 0 ? Number(((mean / anchorMean) * 100).toFixed(2)) : null
+    }));
+  }
+
+  /**
+   * Normalize a list of Pokémon for one country
+   * @param {Array<string>} pokemonNames
+   * @param {string} countryCode
+   * @param {Function} onBatch - optional callback (batchResults) after each batch, for incremental saves
+   * @returns {Promise<Object>} { anchor, countryCode, groupSize, normalizedAt, scores: { name: { normalizedScore, mean, anchorMean, batch } }, failures }
+   */
+  async normalize(pokemonNames, countryCode, onBatch = null) {
+    const anchorTerm = await this.termResolver(this.anchor);
+    const scores = {
+      [this.anchor]: { normalizedScore: 100, mean: null, anchorMean: null, batch: null }
+    };
+    const failures = [];
+    const batches = this.buildBatches(pokemonNames);
+
+    for (let b = 0; b < batches.length; b++) {
+      const batch = batches[b];
+      try {
+        const terms = [anchorTerm];
+        for (const name of batch) {
+          terms.push(await this.termResolver(name));
+        }
+
+        const data = await this.compareClient(terms, countryCode);
+        const rescaled = AnchorNormalizer.rescaleBatch(data?.default?.timelineData, terms.length, 0);
+        const batchResults = {};
+        batch.forEach((name, i) => {
+          batchResults[name] = {
+            normalizedScore: rescaled[i + 1].normalizedScore,
+            mean: rescaled[i + 1].mean,
+            anchorMean: rescaled[0].mean,
+            batch: b
+          };
+        });
+        Object.assign(scores, batchResults);
+        if (onBatch) await onBatch(batchResults);
+      } catch (err) {
+        log.warn(`Normalization batch ${b + 1}/${batches.length} failed (${countryCode})`, { error: err });
+        failures.push({ batch: b, names: batch, error: (err && err.message) || String(err) });
+      }
+    }
+
+    return {
+      anchor: this.anchor,
+      anchorTerm,
+      countryCode,
+      groupSize: this.groupSize,
+      normalizedAt: new Date().toISOString(),
+      scores,
+      failures
+    };
+  }
+}
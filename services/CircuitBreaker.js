@@ -0,0 +1,177 @@
+/**
+ * @file CircuitBreaker.js
+ * Circuit breaker shared by every upstream Google Trends caller (live lookups,
+ * harvests, continuous refresh).
+ *
+ *   closed    - requests flow; consecutive 429s / HTML block pages are counted
+ *   open      - requests fail fast with CircuitOpenError until `openUntil`
+ *   half-open - a single probe request is let through; success closes the
+ *               breaker, another block re-opens it for twice as long
+ *
+ * Emits 'state' ({ from, to, reason }) on every transition.
+ */
+
+import { EventEmitter } from 'events';
+import { createLogger } from './logger.js';
+
+const log = createLogger('breaker');
+
+export const BREAKER_STATES = ['closed', 'open', 'half-open'];
+
+// Outcomes (see classifyUpstreamOutcome in ProxyPool.js) that count as upstream blocking
+const FAILURE_OUTCOMES = new Set(['rate_limited', 'blocked_html']);
+
+export class CircuitOpenError extends Error {
+  constructor(breaker) {
+    const retryAfterMs = breaker.remainingOpenMs();
+    super(`Circuit breaker "${breaker.name}" is open (retry in ${Math.ceil(retryAfterMs / 1000)}s)`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} options - { name, failureThreshold, openMs, maxOpenMs }
+   *   failureThreshold: consecutive blocks that open the breaker
+   *   openMs: first open period; doubles after each failed probe, capped at maxOpenMs
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'upstream';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.baseOpenMs = options.openMs || 10 * 60 * 1000;
+    this.maxOpenMs = options.maxOpenMs || 24 * 60 * 60 * 1000;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openMs = this.baseOpenMs;
+    this.openUntil = 0;
+    this.probeInFlight = false;
+    this.lastReason = null;
+    this.stats = { opened: 0, rejected: 0, probes: 0, lastOpened: null, lastClosed: null };
+  }
+
+  transition(to, reason) {
+    const from = this.state;
+    if (from === to) return;
+    this.state = to;
+    this.lastReason = reason;
+    if (to === 'open') {
+      this.openUntil = Date.now() + this.openMs;
+      this.stats.opened++;
+      this.stats.lastOpened = new Date().toISOString();
+      log.warn(`🔌 Circuit "${this.name}" opened for ${Math.round(this.openMs / 1000)}s: ${reason}`);
+    } else if (to === 'closed') {
+      this.openUntil = 0;
+      this.openMs = this.baseOpenMs;
+      this.stats.lastClosed = new Date().toISOString();
+      log.info(`✅ Circuit "${this.name}" closed: ${reason}`);
+    } else {
+      log.info(`🔌 Circuit "${this.name}" half-open: letting one probe request through`);
+    }
+    this.emit('state', { from, to, reason });
+  }
+
+  /**
+   * Whether a request made now would be rejected (open, or half-open with the probe already out)
+   */
+  isOpen() {
+    if (this.state === 'open') return Date.now() < this.openUntil;
+    if (this.state === 'half-open') return this.probeInFlight;
+    return false;
+  }
+
+  remainingOpenMs() {
+    return this.state === 'open' ? Math.max(0, this.openUntil - Date.now()) : 0;
+  }
+
+  /**
+   * Reserve permission for one upstream request. Call record() with its outcome afterwards.
+   * @throws {CircuitOpenError} when the breaker is open
+   */
+  acquire() {
+    if (this.state === 'open' && Date.now() >= this.openUntil) {
+      this.transition('half-open', 'open period elapsed');
+    }
+    if (this.isOpen()) {
+      this.stats.rejected++;
+      throw new CircuitOpenError(this);
+    }
+    if (this.state === 'half-open') {
+      this.probeInFlight = true;
+      this.stats.probes++;
+    }
+  }
+
+  /**
+   * Record the outcome of a request allowed by acquire()
+   * @param {string} outcome - 'success', 'rate_limited', 'blocked_html' or 'error'
+   */
+  record(outcome) {
+    const wasProbe = this.state === 'half-open' && this.probeInFlight;
+    this.probeInFlight = false;
+
+    if (outcome === 'success') {
+      this.consecutiveFailures = 0;
+      if (wasProbe) this.transition('closed', 'probe request succeeded');
+      return;
+    }
+    // Network errors say nothing about blocking: a failed probe leaves the breaker half-open
+    if (!FAILURE_OUTCOMES.has(outcome)) return;
+
+    this.consecutiveFailures++;
+    if (wasProbe) {
+      this.openMs = Math.min(this.openMs * 2, this.maxOpenMs);
+      this.transition('open', `probe request was ${outcome}`);
+    } else if (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold) {
+      this.transition('open', `${this.consecutiveFailures} consecutive ${outcome} responses`);
+    }
+  }
+
+  /**
+   * Open the breaker immediately (e.g. a caller detected blocking on its own)
+   * @param {string} reason
+   */
+  trip(reason) {
+    if (this.state === 'open') {
+      this.openUntil = Math.max(this.openUntil, Date.now() + this.openMs);
+      return;
+    }
+    this.probeInFlight = false;
+    this.transition('open', reason);
+  }
+
+  /**
+   * Close the breaker manually (admin override)
+   */
+  reset(reason = 'manual reset') {
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+    this.transition('closed', reason);
+  }
+
+  /**
+   * Wait until a request would be allowed, polling at most every `maxWaitMs`
+   * @param {Function} shouldStop - Optional () => boolean to give up early (e.g. service stopped)
+   */
+  async waitUntilAllowed(maxWaitMs = 60000, shouldStop = () => false) {
+    while (this.isOpen() && !shouldStop()) {
+      const waitMs = Math.max(1000, Math.min(this.remainingOpenMs() || maxWaitMs, maxWaitMs));
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openUntil: this.state === 'open' ? new Date(this.openUntil).toISOString() : null,
+      retryAfterSec: Math.ceil(this.remainingOpenMs() / 1000),
+      lastReason: this.lastReason,
+      ...this.stats
+    };
+  }
+}
@@ -1,11 +1,42 @@
+import { EventEmitter } from 'events';
 import Bottleneck from 'bottleneck';
-import fs from 'fs/promises';
-import path from 'path';
+import { keptEntryFields, toEntry } from './dataSchema.js';
+import { createLogger, generateId, runInNewContext } from './logger.js';
 
-export class ContinuousRefreshService {
-  constructor(trendsService, dataPath) {
+const log = createLogger('refresh');
+
+// Emitted while the loop runs (streamed by ProgressStream at /admin/events):
+// fetched / fallback / blocked per entry ({ pokemonName, countryCode }), saved after each write,
+// progress ({ cycleProgress, estimatedCompletion }) after each entry, started / stopped
+export const REFRESH_EVENTS = ['started', 'fetched', 'fallback', 'blocked', 'saved', 'progress', 'stopped'];
+
+// Defaults for the `refresh` config section (services/config.js)
+const DEFAULT_OPTIONS = {
+  minTimeMs: 25000,          // 25 seconds between requests (2.4/min)
+  requestsPerMinute: 2,
+  jitterMs: 10000,           // 0-10 second random delay
+  staleAfterMs: 7 * 24 * 60 * 60 * 1000,
+  cycleBreakMs: 300000,      // 5 min break between cycles
+  blockPauseMs: 24 * 60 * 60 * 1000,  // only used without a shared circuitBreaker
+  countries: ['US', 'JP', 'GB', 'ES', 'FR', 'DE']
+};
+
+export class ContinuousRefreshService extends EventEmitter {
+  /**
+   * @param {Object} trendsService - { getTrends(name, country, id, timeframe) }
+   * @param {TrendsDataStore} store - Trends data file to update (shared with HarvestService)
+   * @param {Object} options - Refresh cadence and countries (see DEFAULT_OPTIONS), plus
+   *   circuitBreaker: shared upstream CircuitBreaker; blocking trips it and the loop waits while it is open
+   *   history: HistoryStore that receives a snapshot of every refreshed entry
+   */
+  constructor(trendsService, store, options = {}) {
+    super();
     this.trendsService = trendsService;
-    this.dataPath = dataPath;
+    this.store = store;
+    const { circuitBreaker, history, ...cadence } = options;
+    this.options = { ...DEFAULT_OPTIONS, ...cadence };
+    this.circuitBreaker = circuitBreaker || null;
+    this.history = history || null;
     this.isRunning = false;
     this.isPaused = false;
     this.stats = {
@@ -17,54 +48,59 @@ export class ContinuousRefreshService {
       cycleProgress: 0
     };
     
-    // Ultra-conservative rate limiting
+    // Ultra-conservative rate limiting (requestsPerMinute null: no per-minute cap, for fixture replays)
     this.limiter = new Bottleneck({
-      minTime: 25000,           // 25 seconds between requests (2.4/min)
+      minTime: this.options.minTimeMs,
       maxConcurrent: 1,
-      reservoir: 2,             // Start with 2 requests
-      reservoirRefreshAmount: 2,
-      reservoirRefreshInterval: 60000  // Refill 2 every minute
+      ...(this.options.requestsPerMinute ? {
+        reservoir: this.options.requestsPerMinute,
+        reservoirRefreshAmount: this.options.requestsPerMinute,
+        reservoirRefreshInterval: 60000  // Refill every minute
+      } : {})
     });
     
     // Add jitter before each request
     this.limiter.on('scheduled', async () => {
-      const jitter = Math.random() * 10000;  // 0-10 second random delay
+      const jitter = Math.random() * this.options.jitterMs;
       await new Promise(resolve => setTimeout(resolve, jitter));
     });
   }
   
   async start() {
     if (this.isRunning) {
-      console.log('⚠️  Refresh service already running');
+      log.info('⚠️  Refresh service already running');
       return false;
     }
     
     this.isRunning = true;
     this.isPaused = false;
-    console.log('🔄 Starting continuous refresh service...');
+    log.info('🔄 Starting continuous refresh service...');
     
-    // Run in background loop
-    this.refreshLoop().catch(err => {
-      console.error('❌ Refresh service crashed:', err);
+    // Run in background loop; every log line of this run carries its jobId
+    const jobId = generateId('refresh');
+    this.emit('started', { jobId });
+    runInNewContext({ jobId }, () => this.refreshLoop().catch(err => {
+      log.error('❌ Refresh service crashed', { error: err });
       this.isRunning = false;
-    });
+    }));
     
     return true;
   }
   
   async stop() {
-    console.log('⏹️  Stopping refresh service...');
+    log.info('⏹️  Stopping refresh service...');
     this.isRunning = false;
     await this.limiter.stop();
+    this.emit('stopped', { stats: this.stats });
   }
   
   pause() {
-    console.log('⏸️  Pausing refresh service');
+    log.info('⏸️  Pausing refresh service');
     this.isPaused = true;
   }
   
   resume() {
-    console.log('▶️  Resuming refresh service');
+    log.info('▶️  Resuming refresh service');
     this.isPaused = false;
   }
   
@@ -74,15 +110,22 @@ export class ContinuousRefreshService {
         await new Promise(resolve => setTimeout(resolve, 60000));  // Check every minute
         continue;
       }
+
+      if (this.circuitBreaker && this.circuitBreaker.isOpen()) {
+        // Upstream is blocked for everyone: wait rather than record a failure per Pokémon
+        this.emit('blocked', { reason: 'circuit open', retryInMs: this.circuitBreaker.remainingOpenMs() });
+        await this.circuitBreaker.waitUntilAllowed(60000, () => !this.isRunning);
+        continue;
+      }
       
       try {
         // Get next Pokémon to refresh (oldest first)
         const pokemon = await this.getNextPokemonToRefresh();
         
         if (!pokemon) {
-          console.log('✅ Full refresh cycle complete! Starting new cycle...');
+          log.info('✅ Full refresh cycle complete! Starting new cycle...');
           this.stats.cycleProgress = 0;
-          await new Promise(resolve => setTimeout(resolve, 300000));  // 5 min break between cycles
+          await new Promise(resolve => setTimeout(resolve, this.options.cycleBreakMs));
           continue;
         }
         
@@ -93,28 +136,39 @@ export class ContinuousRefreshService {
           this.fetchWithBlockDetection(pokemon)
         );
         
-        if (result.blocked) {
-          console.error('🚫 BLOCKING DETECTED - Pausing for 24 hours');
+        const entry = { pokemonName: pokemon.name, countryCode: pokemon.country };
+        if (result.blocked && this.circuitBreaker) {
+          log.error('🚫 BLOCKING DETECTED - Opening the upstream circuit breaker');
+          this.stats.blockedCount++;
+          this.circuitBreaker.trip('continuous refresh detected blocking');
+          this.emit('blocked', { ...entry, reason: 'block page', action: 'circuit opened', pausedUntil: this.circuitBreaker.getStatus().openUntil });
+          
+        } else if (result.blocked) {
+          log.error(`🚫 BLOCKING DETECTED - Pausing for ${Math.round(this.options.blockPauseMs / 3600000)} hours`);
           this.stats.blockedCount++;
           this.pause();
+          this.emit('blocked', { ...entry, reason: 'block page', action: 'paused', pausedUntil: new Date(Date.now() + this.options.blockPauseMs).toISOString() });
           
-          // Auto-resume after 24 hours
-          setTimeout(() => this.resume(), 24 * 60 * 60 * 1000);
+          // Auto-resume after the block pause
+          setTimeout(() => this.resume(), this.options.blockPauseMs);
           
         } else if (result.success) {
           this.stats.successCount++;
+          this.emit('fetched', { ...entry, score: result.data.score });
           await this.saveData(pokemon, result.data);
-          console.log(`✅ Updated ${pokemon.name} (${this.stats.cycleProgress}% complete)`);
+          log.info(`✅ Updated ${pokemon.name} (${this.stats.cycleProgress}% complete)`);
           
         } else {
           this.stats.failureCount++;
-          console.log(`⚠️  Failed to update ${pokemon.name}: ${result.error}`);
+          this.emit('fallback', { ...entry, error: result.error });
+          log.warn(`⚠️  Failed to update ${pokemon.name}`, { pokemonName: pokemon.name, countryCode: pokemon.country, error: result.error });
         }
         
         this.stats.lastRun = new Date().toISOString();
+        this.emit('progress', { ...this.stats, estimatedCompletion: this.calculateETA() });
         
       } catch (err) {
-        console.error('Error in refresh loop:', err);
+        log.error('Error in refresh loop', { error: err });
         await new Promise(resolve => setTimeout(resolve, 60000));  // Wait 1 min on error
       }
     }
@@ -124,7 +178,7 @@ export class ContinuousRefreshService {
     try {
       const result = await this.trendsService.getTrends(
         pokemon.name,
-        pokemon.country || 'US',
+        pokemon.country || this.options.countries[0],
         pokemon.id
       );
       
@@ -160,7 +214,7 @@ export class ContinuousRefreshService {
     
     // Get all Pokémon that need refreshing
     const allPokemon = await this.getAllPokemon();
-    const countries = ['US', 'JP', 'GB', 'ES', 'FR', 'DE'];
+    const { countries, staleAfterMs } = this.options;
     
     // Build list of all pokemon-country combinations with age
     const entries = [];
@@ -186,11 +240,11 @@ export class ContinuousRefreshService {
     entries.sort((a, b) => b.age - a.age);
     
     // Calculate progress
-    const refreshedCount = entries.filter(e => e.age < 7 * 24 * 60 * 60 * 1000).length;
+    const refreshedCount = entries.filter(e => e.age < staleAfterMs).length;
     this.stats.cycleProgress = Math.round((refreshedCount / entries.length) * 100);
     
-    // Return oldest entry that's > 7 days old, or null if all fresh
-    const stale = entries.find(e => e.age > 7 * 24 * 60 * 60 * 1000);
+    // Return oldest entry past the stale threshold, or null if all fresh
+    const stale = entries.find(e => e.age > staleAfterMs);
     return stale || null;
   }
   
@@ -205,12 +259,7 @@ export class ContinuousRefreshService {
   }
   
   async loadData() {
-    try {
-      const content = await fs.readFile(this.dataPath, 'utf8');
-      return JSON.parse(content);
-    } catch (err) {
-      return { countries: {}, metadata: {} };
-    }
+    return this.store.data;
   }
   
   async saveData(pokemon, trendsData) {
@@ -220,20 +269,26 @@ export class ContinuousRefreshService {
       data.countries[pokemon.country] = {};
     }
     
+    // Same entry shape as the harvest (see dataSchema.js); keep the last normalized score
+    // and any non-default time windows
+    const existing = data.countries[pokemon.country][pokemon.name];
     data.countries[pokemon.country][pokemon.name] = {
-      ...trendsData,
-      lastFetched: new Date().toISOString()
+      ...toEntry(trendsData),
+      ...keptEntryFields(existing),
+      ...(existing?.timeframes ? { timeframes: existing.timeframes } : {})
     };
     
-    data.metadata.lastUpdate = new Date().toISOString();
+    this.history?.record({ ...trendsData, pokemonName: pokemon.name, countryCode: pokemon.country }, 'refresh');
     
-    await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+    await this.store.save();
+    this.emit('saved', { pokemonName: pokemon.name, countryCode: pokemon.country });
   }
   
   getStatus() {
     return {
       isRunning: this.isRunning,
       isPaused: this.isPaused,
+      waitingForUpstream: !!(this.circuitBreaker && this.circuitBreaker.isOpen()),
       stats: this.stats,
       estimatedCompletion: this.calculateETA()
     };
@@ -242,9 +297,9 @@ export class ContinuousRefreshService {
   calculateETA() {
     if (!this.isRunning || this.stats.cycleProgress === 0) return null;
     
-    const totalEntries = 1025 * 6;  // 1025 Pokémon × 6 countries
+    const totalEntries = 1025 * this.options.countries.length;  // 1025 Pokémon × countries
     const remaining = totalEntries * (1 - this.stats.cycleProgress / 100);
-    const requestsPerHour = 60 / (25 / 60);  // ~2.4 per minute = 144/hour
+    const requestsPerHour = Math.min(3600000 / this.options.minTimeMs, (this.options.requestsPerMinute ?? Infinity) * 60);
     const hoursRemaining = remaining / requestsPerHour;
     
     return {
@@ -0,0 +1,401 @@
+/**
+ * @file FakeTrendsServer.js
+ * Local stand-in for the Google Trends endpoints used by google-trends-api
+ * (explore, widgetdata multiline / comparedgeo / relatedsearches, autocomplete),
+ * for end-to-end runs without network access.
+ *
+ * Data is synthetic but deterministic per Pokémon name and time window: the
+ * `time` range of a request picks the window (services/timeframes.js), which
+ * sets the timeline resolution and seeds its values. Behaviors can be
+ * scripted per keyword and per number of calls:
+ *
+ *   ok          - normal data
+ *   empty       - valid responses with an empty timeline / no regions / no suggestions
+ *   rate_limit  - HTTP 429 "Too Many Requests"
+ *   html        - HTTP 200 with an anti-bot HTML page
+ *   slow        - normal data after `delayMs`
+ *   reset       - connection dropped without a response
+ *
+ * google-trends-api always talks HTTPS to trends.google.com; createRedirectAgent()
+ * sends those requests to this plain-HTTP server instead (see the `agent` option
+ * of GoogleTrendsProvider and TRENDS_UPSTREAM_URL).
+ *
+ * Control endpoints (for scripts driving a separately started server):
+ *   GET  /__fake/state     - default behavior, rules, stats and recent requests
+ *   POST /__fake/default   - { behavior }
+ *   POST /__fake/rules     - { behavior, keyword, times }
+ *   POST /__fake/reset
+ */
+
+import http from 'http';
+import net from 'net';
+import { createLogger } from './logger.js';
+import { DEFAULT_TIMEFRAME, timeframeForRange } from './timeframes.js';
+
+const log = createLogger('fake-trends');
+
+export const FAKE_BEHAVIORS = ['ok', 'empty', 'rate_limit', 'html', 'slow', 'reset'];
+
+// Response prefixes google-trends-api strips before parsing (4 chars for explore, 5 for widget data)
+const EXPLORE_PREFIX = ")]}'\n";
+const WIDGET_PREFIX = ")]}',\n";
+const MAX_LOGGED_REQUESTS = 200;
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Point spacing per window, roughly what Google Trends returns for it
+const TIMELINE_STEPS = { '7d': HOUR, '90d': DAY, '12m': 7 * DAY, '5y': 7 * DAY, 'all': 30 * DAY };
+
+const BLOCK_PAGE = `<!DOCTYPE html>
+<html><head><title>Sorry...</title></head>
+<body><div>Our systems have detected unusual traffic from your computer network.
+This page checks to see if it's really you sending the requests, and not a robot.</div></body></html>`;
+
+const COUNTRIES = {
+  US: 'United States', JP: 'Japan', GB: 'United Kingdom', DE: 'Germany', FR: 'France',
+  ES: 'Spain', BR: 'Brazil', MX: 'Mexico', IT: 'Italy', CA: 'Canada'
+};
+
+/**
+ * Agent that connects every request to `baseUrl` over plain HTTP.
+ * https.request accepts it because its protocol is declared as 'https:'.
+ * @param {string} baseUrl - e.g. http://127.0.0.1:4010
+ */
+export function createRedirectAgent(baseUrl) {
+  const { hostname, port } = new URL(baseUrl);
+  const agent = new http.Agent();
+  agent.protocol = 'https:';
+  agent.createConnection = () => net.createConnection({ host: hostname, port: Number(port) || 80 });
+  return agent;
+}
+
+/**
+ * Stable 32-bit hash of a string (FNV-1a)
+ */
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (const c of String(text)) {
+    h ^= c.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Pokémon name behind a search term: "pikachu pokemon", "pikachu" and our own topic ID all map to "pikachu"
+ */
+function nameOf(term) {
+  const t = String(term).toLowerCase().trim();
+  if (t.startsWith('/m/fake_')) return t.slice('/m/fake_'.length).replace(/_/g, '-');
+  return t.replace(/\s+pok[eé]mon$/, '');
+}
+
+function titleCase(name) {
+  return name.replace(/(^|-)([a-z])/g, (m, sep, c) => sep + c.toUpperCase());
+}
+
+/**
+ * Start and end of a comparison item's `time` ("2024-01-01 2025-01-01", or with
+ * "T10\\:5\\:00" hours for short ranges); null when missing
+ */
+function parseTimeRange(time) {
+  const [start, end] = String(time || '').split(' ').map(part => new Date(part.split('T')[0]));
+  if (!start || !end || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return null;
+  return { start, end };
+}
+
+/**
+ * Search terms, geo and time window of an explore / widget `req` parameter
+ */
+function parseComparison(rawReq) {
+  let req = {};
+  try {
+    req = JSON.parse(rawReq || '{}');
+  } catch (err) {
+    // Leave it empty: the response simply has no data
+  }
+  const items = Array.isArray(req.comparisonItem) ? req.comparisonItem : [];
+  return {
+    req,
+    terms: items.map(item => item.keyword).filter(Boolean),
+    geo: items[0]?.geo || null,
+    range: parseTimeRange(items[0]?.time)
+  };
+}
+
+export class FakeTrendsServer {
+  /**
+   * @param {Object} options - { behavior, delayMs }
+   *   behavior: default for requests no rule matches ('ok')
+   *   delayMs: response delay of the 'slow' behavior
+   */
+  constructor(options = {}) {
+    this.delayMs = options.delayMs ?? 2000;
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(err => {
+        log.error('Fake upstream handler failed', { error: err });
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+      });
+    });
+    this.sockets = new Set();
+    this.server.on('connection', socket => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+    this.reset(options.behavior || 'ok');
+  }
+
+  /**
+   * Drop all rules, request history and stats
+   */
+  reset(behavior = 'ok') {
+    this.setDefault(behavior);
+    this.rules = [];
+    this.requests = [];
+    this.stats = Object.fromEntries(FAKE_BEHAVIORS.map(b => [b, 0]));
+  }
+
+  /**
+   * Behavior for requests that no rule matches
+   */
+  setDefault(behavior) {
+    if (!FAKE_BEHAVIORS.includes(behavior)) throw new Error(`Unknown fake behavior "${behavior}"`);
+    this.defaultBehavior = behavior;
+  }
+
+  /**
+   * Script a behavior. Rules are checked in the order they were added.
+   * @param {Object} rule - { behavior, keyword, times }
+   *   keyword: only calls for this Pokémon (any term form; all calls when omitted)
+   *   times: number of calls the rule applies to (unlimited when omitted)
+   */
+  addRule({ behavior, keyword = null, times = Infinity }) {
+    if (!FAKE_BEHAVIORS.includes(behavior)) throw new Error(`Unknown fake behavior "${behavior}"`);
+    this.rules.push({ behavior, keyword: keyword ? nameOf(keyword) : null, remaining: times ?? Infinity });
+  }
+
+  /**
+   * Pick (and consume) the behavior for one google-trends-api call
+   */
+  nextBehavior(terms) {
+    const names = terms.map(nameOf);
+    const rule = this.rules.find(r => r.remaining > 0 && (!r.keyword || names.includes(r.keyword)));
+    if (!rule) return this.defaultBehavior;
+    rule.remaining--;
+    if (rule.remaining <= 0) this.rules.splice(this.rules.indexOf(rule), 1);
+    return rule.behavior;
+  }
+
+  /**
+   * @param {number} port - 0 picks a free port
+   * @returns {Promise<string>} Base URL
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        log.info(`🧪 Fake Google Trends upstream listening on ${this.url}`);
+        resolve(this.url);
+      });
+    });
+  }
+
+  get url() {
+    const address = this.server.address();
+    return address ? `http://${address.address}:${address.port}` : null;
+  }
+
+  /**
+   * Agent for GoogleTrendsProvider ({ agent }) that sends its requests here
+   */
+  agent() {
+    return createRedirectAgent(this.url);
+  }
+
+  close() {
+    for (const socket of this.sockets) socket.destroy();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  getState() {
+    return {
+      defaultBehavior: this.defaultBehavior,
+      delayMs: this.delayMs,
+      rules: this.rules.map(r => ({ ...r, remaining: Number.isFinite(r.remaining) ? r.remaining : null })),
+      stats: this.stats,
+      requests: this.requests.slice(-50)
+    };
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://fake');
+    if (url.pathname.startsWith('/__fake/')) return this.handleControl(req, res, url.pathname);
+
+    const send = (status, body, type = 'application/json; charset=utf-8') => {
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(body);
+    };
+
+    if (url.pathname === '/trends/api/explore') {
+      const { terms } = parseComparison(url.searchParams.get('req'));
+      const behavior = this.nextBehavior(terms);
+      this.record('explore', terms, behavior);
+      if (behavior === 'reset') return req.socket.destroy();
+      if (behavior === 'slow') await new Promise(r => setTimeout(r, this.delayMs));
+      if (behavior === 'rate_limit') return send(429, 'Too Many Requests', 'text/plain; charset=utf-8');
+      if (behavior === 'html') return send(200, BLOCK_PAGE, 'text/html; charset=utf-8');
+      // The token carries the behavior over to the widget request that follows
+      return send(200, EXPLORE_PREFIX + JSON.stringify({ widgets: this.widgets(url.searchParams.get('req'), behavior) }));
+    }
+
+    const token = url.searchParams.get('token') || '';
+    const behavior = token.startsWith('fake-') ? token.slice(5) : 'ok';
+    if (behavior === 'slow') await new Promise(r => setTimeout(r, this.delayMs));
+    const empty = behavior === 'empty';
+    const { req: widgetReq, terms, geo, range } = parseComparison(url.searchParams.get('req'));
+
+    let data;
+    if (url.pathname.startsWith('/trends/api/autocomplete/')) {
+      const keyword = decodeURIComponent(url.pathname.slice('/trends/api/autocomplete/'.length));
+      this.record('autocomplete', [keyword], behavior);
+      data = { default: { topics: empty ? [] : this.suggestions(keyword) } };
+    } else if (url.pathname === '/trends/api/widgetdata/multiline') {
+      this.record('multiline', terms, behavior);
+      data = { default: { timelineData: empty ? [] : this.timeline(terms, geo, range), averages: [] } };
+    } else if (url.pathname === '/trends/api/widgetdata/comparedgeo') {
+      this.record('comparedgeo', terms, behavior);
+      data = { default: { geoMapData: empty ? [] : this.geoMap(terms[0], geo) } };
+    } else if (url.pathname === '/trends/api/widgetdata/relatedsearches') {
+      this.record('relatedsearches', terms, behavior);
+      data = { default: { rankedList: empty ? [{ rankedKeyword: [] }, { rankedKeyword: [] }] : this.related(terms[0], widgetReq.keywordType) } };
+    } else {
+      return send(404, 'Not Found', 'text/plain; charset=utf-8');
+    }
+    return send(200, WIDGET_PREFIX + JSON.stringify(data));
+  }
+
+  async handleControl(req, res, pathname) {
+    let body = {};
+    if (req.method === 'POST') {
+      let raw = '';
+      for await (const chunk of req) raw += chunk;
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch (err) {
+        body = {};
+      }
+    }
+    const reply = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(payload));
+    };
+    try {
+      if (req.method === 'GET' && pathname === '/__fake/state') return reply(200, this.getState());
+      if (req.method === 'POST' && pathname === '/__fake/default') this.setDefault(body.behavior);
+      else if (req.method === 'POST' && pathname === '/__fake/rules') this.addRule(body);
+      else if (req.method === 'POST' && pathname === '/__fake/reset') this.reset(body.behavior);
+      else return reply(404, { error: 'Not found' });
+      return reply(200, this.getState());
+    } catch (err) {
+      return reply(400, { error: err.message });
+    }
+  }
+
+  record(stage, terms, behavior) {
+    if (stage === 'explore') this.stats[behavior]++;
+    this.requests.push({ time: new Date().toISOString(), stage, terms, behavior });
+    if (this.requests.length > MAX_LOGGED_REQUESTS) this.requests.shift();
+    log.debug(`${stage} ${terms.join(', ')} -> ${behavior}`);
+  }
+
+  /**
+   * Explore response: one widget per data type, each echoing the comparison back to the widget request
+   */
+  widgets(rawReq, behavior) {
+    const { req } = parseComparison(rawReq);
+    const request = { comparisonItem: req.comparisonItem || [], requestOptions: {} };
+    const token = `fake-${behavior}`;
+    return [
+      { id: 'TIMESERIES', request, token },
+      { id: 'GEO_MAP', request, token },
+      { id: 'RELATED_TOPICS', request: { ...request, keywordType: 'ENTITY' }, token },
+      { id: 'RELATED_QUERIES', request: { ...request, keywordType: 'QUERY' }, token }
+    ];
+  }
+
+  suggestions(keyword) {
+    const name = nameOf(keyword);
+    return [
+      { mid: `/m/fake_${slug(name)}`, title: titleCase(name), type: 'Pokémon species' },
+      { mid: `/m/fake_${slug(name)}_card`, title: `${titleCase(name)} card`, type: 'Topic' }
+    ];
+  }
+
+  /**
+   * Timeline over the requested range (the past 12 months when there is none), scaled like
+   * Google Trends: the highest point across all compared terms is 100
+   */
+  timeline(terms, geo, range = null) {
+    const timeframe = range ? timeframeForRange(range.start, range.end) : DEFAULT_TIMEFRAME;
+    const step = TIMELINE_STEPS[timeframe];
+    const spanSeconds = range ? (range.end - range.start) / 1000 : 365 * DAY;
+    const points = Math.max(1, Math.round(spanSeconds / step));
+    // Other windows get their own values; the default window keeps the seeds it always had
+    const windowSeed = timeframe === DEFAULT_TIMEFRAME ? '' : `|${timeframe}`;
+    const series = terms.map(term => {
+      const seed = hash(`${nameOf(term)}|${geo || ''}${windowSeed}`);
+      const base = 10 + (seed % 60);
+      return Array.from({ length: points }, (_, i) => {
+        const wave = Math.sin((i + (seed % 13)) / 4) * base * 0.3;
+        const spike = (seed >> 8) % points === i ? base : 0;
+        return Math.max(1, base + wave + spike);
+      });
+    });
+    const peak = Math.max(...series.flat(), 1);
+    const end = Math.floor(Date.now() / 1000 / step) * step;
+    return Array.from({ length: points }, (_, i) => {
+      const values = series.map(s => Math.round((s[i] / peak) * 100));
+      const time = end - (points - 1 - i) * step;
+      return {
+        time: String(time),
+        formattedTime: new Date(time * 1000).toISOString().slice(0, 10),
+        value: values,
+        hasData: values.map(v => v > 0),
+        formattedValue: values.map(String)
+      };
+    });
+  }
+
+  geoMap(term, geo) {
+    const name = nameOf(term || '');
+    const places = geo
+      ? ['A', 'B', 'C', 'D'].map(code => ({ geoCode: `${geo}-${code}`, geoName: `${COUNTRIES[geo] || geo} region ${code}` }))
+      : Object.entries(COUNTRIES).map(([geoCode, geoName]) => ({ geoCode, geoName }));
+    const raw = places.map(p => 1 + (hash(`${name}|${p.geoCode}`) % 100));
+    const peak = Math.max(...raw);
+    return places.map((p, i) => {
+      const value = Math.round((raw[i] / peak) * 100);
+      return { ...p, value: [value], formattedValue: [String(value)], maxValueIndex: 0, hasData: [true] };
+    });
+  }
+
+  related(term, keywordType) {
+    const name = nameOf(term || '');
+    const label = titleCase(name);
+    const item = (text, value, i) => keywordType === 'ENTITY'
+      ? { topic: { mid: `/m/fake_${slug(text)}`, title: text, type: i === 0 ? 'Media franchise' : 'Topic' }, value, formattedValue: String(value) }
+      : { query: text.toLowerCase(), value, formattedValue: String(value) };
+    const top = [`${label} plush`, `${label} card`, `${label} evolution`, `${label} shiny`];
+    const rising = [`${label} event`, `${label} tera raid`];
+    return [
+      { rankedKeyword: top.map((text, i) => item(text, 100 - i * 20, i)) },
+      { rankedKeyword: rising.map((text, i) => item(text, 250 - i * 100, i)) }
+    ];
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * @file FixtureTrendsProvider.js
+ * Offline trends provider that replays recorded responses from disk.
+ * Each fixture lives at <dir>/<method>/<key>.json and looks like:
+ *   { "method": "interestOverTime", "request": { "keyword": "...", "geo": "US" }, "response": { ... } }
+ * `response` may be an object (serialized back to JSON) or a raw string, so
+ * HTML block pages can be recorded and replayed as well. Requests for a window
+ * other than DEFAULT_TIMEFRAME (worked out from `startTime`) get the window in
+ * their key, so each timeframe replays its own recording.
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import { DEFAULT_TIMEFRAME, timeframeForRange } from './timeframes.js';
+
+export class FixtureTrendsProvider {
+  /**
+   * @param {Object} options - { dir, recordFrom }
+   *   dir: fixture root directory
+   *   recordFrom: optional upstream provider; missing fixtures are fetched from it and saved
+   */
+  constructor(options = {}) {
+    this.name = options.recordFrom ? 'record' : 'fixture';
+    this.dir = options.dir;
+    this.recordFrom = options.recordFrom || null;
+  }
+
+  /**
+   * Build a filesystem-safe fixture key from the request options
+   * @param {Object} options - provider call options
+   * @returns {string} e.g. "pikachu_pokemon__us", "_m_0dl567__us" or "_m_0dl567__us__7d"
+   */
+  static fixtureKey(options = {}) {
+    const slug = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+    const keyword = Array.isArray(options.keyword) ? options.keyword.map(slug).join('+') : slug(options.keyword);
+    const parts = [keyword, slug(options.geo || 'world')];
+    if (options.resolution) parts.push(slug(options.resolution));
+    const timeframe = options.startTime ? timeframeForRange(options.startTime, options.endTime) : DEFAULT_TIMEFRAME;
+    if (timeframe !== DEFAULT_TIMEFRAME) parts.push(timeframe);
+    return parts.join('__');
+  }
+
+  fixturePath(method, options) {
+    return path.join(this.dir, method, `${FixtureTrendsProvider.fixtureKey(options)}.json`);
+  }
+
+  /**
+   * Replay a recorded response, or record it from the upstream provider when configured
+   * @returns {Promise<string>} Raw response body
+   */
+  async replay(method, options = {}) {
+    const file = this.fixturePath(method, options);
+    try {
+      const fixture = JSON.parse(await fsp.readFile(file, 'utf8'));
+      const response = fixture.response;
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    if (!this.recordFrom) {
+      throw new Error(`No fixture recorded for ${method} "${options.keyword}" (${options.geo || 'world'}): ${file}`);
+    }
+
+    const raw = await this.recordFrom[method](options);
+    let response = raw;
+    try {
+      response = JSON.parse(raw);
+    } catch (err) {
+      // keep non-JSON bodies (e.g. HTML block pages) verbatim
+    }
+    const { agent, ...request } = options;
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(file, JSON.stringify({ method, request, recordedAt: new Date().toISOString(), response }, null, 2), 'utf8');
+    return raw;
+  }
+
+  interestOverTime(options) {
+    return this.replay('interestOverTime', options);
+  }
+
+  autoComplete(options) {
+    return this.replay('autoComplete', options);
+  }
+
+  interestByRegion(options) {
+    return this.replay('interestByRegion', options);
+  }
+
+  relatedQueries(options) {
+    return this.replay('relatedQueries', options);
+  }
+
+  relatedTopics(options) {
+    return this.replay('relatedTopics', options);
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * @file GoogleTrendsProvider.js
+ * Trends provider backed by the live `google-trends-api` client.
+ */
+
+import googleTrends from 'google-trends-api';
+import { classifyUpstreamOutcome } from './ProxyPool.js';
+
+export class GoogleTrendsProvider {
+  /**
+   * @param {Object} options - { agent, proxyPool, userAgent } applied to every upstream call
+   *   proxyPool: ProxyPool picking a proxy per call (takes precedence over a fixed agent)
+   */
+  constructor(options = {}) {
+    this.name = 'google';
+    this.agent = options.agent;
+    this.proxyPool = options.proxyPool && options.proxyPool.size > 0 ? options.proxyPool : null;
+    this.userAgent = options.userAgent || '';
+  }
+
+  /**
+   * Merge per-call options with the provider-wide agent and user agent.
+   * google-trends-api serializes the options into the explore request's `req` parameter,
+   * so the agent is attached non-enumerable: it would otherwise send the proxy URL
+   * (credentials included) to Google, and fail on an agent that holds a socket.
+   */
+  buildRequest(options, agent = this.agent) {
+    const request = {
+      ...(this.userAgent ? { userAgent: this.userAgent } : {}),
+      ...options
+    };
+    if (agent && !request.agent) Object.defineProperty(request, 'agent', { value: agent, enumerable: false });
+    return request;
+  }
+
+  /**
+   * Call a google-trends-api method, through the next pooled proxy when a pool is configured
+   * @returns {Promise<string>} Raw response body
+   */
+  async call(method, options) {
+    const proxy = this.proxyPool ? this.proxyPool.acquire() : null;
+    try {
+      const raw = await googleTrends[method](this.buildRequest(options, proxy ? proxy.agent : this.agent));
+      this.proxyPool?.report(proxy, classifyUpstreamOutcome(null, raw));
+      return raw;
+    } catch (err) {
+      this.proxyPool?.report(proxy, classifyUpstreamOutcome(err), err);
+      throw err;
+    }
+  }
+
+  /**
+   * @param {Object} options - google-trends-api interestOverTime options
+   * @returns {Promise<string>} Raw response body
+   */
+  interestOverTime(options) {
+    return this.call('interestOverTime', options);
+  }
+
+  /**
+   * @param {Object} options - google-trends-api autoComplete options
+   * @returns {Promise<string>} Raw response body
+   */
+  autoComplete(options) {
+    return this.call('autoComplete', options);
+  }
+
+  /**
+   * @param {Object} options - google-trends-api interestByRegion options
+   * @returns {Promise<string>} Raw response body
+   */
+  interestByRegion(options) {
+    return this.call('interestByRegion', options);
+  }
+
+  /**
+   * @param {Object} options - google-trends-api relatedQueries options
+   * @returns {Promise<string>} Raw response body
+   */
+  relatedQueries(options) {
+    return this.call('relatedQueries', options);
+  }
+
+  /**
+   * @param {Object} options - google-trends-api relatedTopics options
+   * @returns {Promise<string>} Raw response body
+   */
+  relatedTopics(options) {
+    return this.call('relatedTopics', options);
+  }
+}
@@ -2,74 +2,80 @@
  * @file HarvestService.js
  * Background service for harvesting Pokemon trends data incrementally.
  * Maintains a hot data file (data/pokemon_trends.json) that updates asynchronously.
+ *
+ * Emits HARVEST_EVENTS while a harvest runs (streamed by ProgressStream at /admin/events):
+ *   started / completed / failed - job lifecycle ({ jobId, ... })
+ *   fetched / fallback           - one entry stored ({ pokemonName, countryCode, timeframe, score })
+ *   blocked                      - waiting for the upstream circuit breaker to close
+ *   saved                        - data file written
+ *   progress                     - counts and ETA after each entry
  */
 
+import { EventEmitter } from 'events';
+
 import fs from 'fs';
-import fsp from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Bottleneck from 'bottleneck';
+import { DEFAULT_TIMEFRAME } from './timeframes.js';
+import { TrendsDataStore } from './TrendsDataStore.js';
+import { keptEntryFields, toEntry } from './dataSchema.js';
+import { DEFAULT_SCORING_METHOD } from './ScoringStrategies.js';
+import { createLogger, generateId, runInNewContext } from './logger.js';
+
+const log = createLogger('harvest');
+
+export const HARVEST_EVENTS = ['started', 'fetched', 'fallback', 'blocked', 'saved', 'progress', 'completed', 'failed'];
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export class HarvestService {
-  constructor(trendsClient, pokemonListFetcher) {
-    this.trendsClient = trendsClient; // function: (pokemonName, countryCode, pokemonId) => Promise<data>
+export class HarvestService extends EventEmitter {
+  constructor(trendsClient, pokemonListFetcher, options = {}) {
+    super();
+    this.trendsClient = trendsClient; // function: (pokemonName, countryCode, pokemonId, timeframe, method) => Promise<data>
     this.pokemonListFetcher = pokemonListFetcher; // function: () => Promise<Array<{name, id}>>
+    this.normalizer = options.normalizer || null; // AnchorNormalizer for cross-batch scores
+    this.regionsClient = options.regionsClient || null; // function: (pokemonName, { countryCode, resolution, timeframe }) => Promise<data>
+    // Defaults from the `harvest` config section; per-run options still override them
+    this.countries = options.countries || ['US', 'JP', 'ES', 'GB', 'DE', 'FR'];
+    this.defaultMinTime = options.minTime ?? 12000;
+    // false skips the spacing between entries, whatever minTime a run asks for (fixture replays)
+    this.paced = options.paced ?? true;
+    this.defaultMaxRetries = options.maxRetries ?? 3;
+    this.staleAfterMs = options.staleAfterMs ?? 7 * 24 * 60 * 60 * 1000; // 7 days
+    // Shared upstream CircuitBreaker: while open, the harvest waits instead of storing fallbacks
+    this.circuitBreaker = options.circuitBreaker || null;
+    // HistoryStore: every stored entry is also appended to the score history
+    this.history = options.history || null;
     this.isHarvesting = false;
-    this.progress = { current: 0, total: 0, successCount: 0, fallbackCount: 0 };
-    this.dataPath = path.resolve(__dirname, '../data/pokemon_trends.json');
-    this.lockPath = path.resolve(__dirname, '../data/.harvest.lock');
-    this.currentData = null;
-    this.loadExistingData();
+    this.isNormalizing = false;
+    this.progress = { current: 0, total: 0, successCount: 0, fallbackCount: 0, regionsCount: 0 };
+    const dataDir = options.dataDir || path.resolve(__dirname, '../data');
+    this.lockPath = path.join(dataDir, '.harvest.lock');
+    // Shared with the continuous refresh and the /data/trends route (see TrendsDataStore)
+    this.store = options.store || new TrendsDataStore(path.join(dataDir, 'pokemon_trends.json'));
   }
 
   /**
-   * Load existing data from disk into memory
+   * Harvested data held by the store
    */
-  loadExistingData() {
-    try {
-      if (fs.existsSync(this.dataPath)) {
-        const raw = fs.readFileSync(this.dataPath, 'utf8');
-        this.currentData = JSON.parse(raw);
-        console.log(`📦 Loaded trends data: ${this.currentData?.metadata?.totalPokemon || 0} Pokémon, success rate ${this.currentData?.metadata?.successRate || 0}%`);
-      } else {
-        this.currentData = this.createEmptyData();
-        console.log('📦 No existing trends data, starting fresh.');
-      }
-    } catch (err) {
-      console.warn('Failed to load existing trends data:', err.message);
-      this.currentData = this.createEmptyData();
-    }
-  }
-
-  createEmptyData() {
-    return {
-      version: new Date().toISOString(),
-      lastUpdate: new Date().toISOString(),
-      countries: {},
-      topicIds: {}, // pokemonName -> topicId (shared across countries)
-      metadata: {
-        totalPokemon: 0,
-        successRate: 0,
-        lastHarvest: null
-      }
-    };
+  get currentData() {
+    return this.store.data;
   }
 
   /**
    * Get current data (for serving to frontend)
    */
   getCurrentData() {
-    return this.currentData || this.createEmptyData();
+    return this.currentData || TrendsDataStore.createEmptyData();
   }
 
   /**
    * Get last update time
    */
   getLastUpdateTime() {
-    return this.currentData?.lastUpdate || null;
+    return this.store.getLastUpdateTime();
   }
 
   /**
@@ -79,6 +85,25 @@ export class HarvestService {
     return { ...this.progress };
   }
 
+  /**
+   * Estimated time left from the average time per entry so far
+   * @returns {number|null} Milliseconds, or null before the first entry
+   */
+  getEtaMs() {
+    const { current, total } = this.progress;
+    if (!this.isHarvesting || !this.startedAt || current === 0) return null;
+    return Math.round(((Date.now() - this.startedAt) / current) * (total - current));
+  }
+
+  emitProgress() {
+    const etaMs = this.getEtaMs();
+    this.emit('progress', {
+      ...this.progress,
+      etaMs,
+      estimatedCompletion: etaMs == null ? null : new Date(Date.now() + etaMs).toISOString()
+    });
+  }
+
   /**
    * Check if currently harvesting
    */
@@ -88,7 +113,7 @@ export class HarvestService {
 
   /**
    * Start background harvest (non-blocking)
-   * @param {Object} options - { concurrency, minTime, maxRetries, targetPokemon, targetCountries, aggressive }
+   * @param {Object} options - { concurrency, minTime, maxRetries, targetPokemon, targetCountries, aggressive, normalize, includeRegions, timeframe, method }
    * @returns {Promise<Object>} - { status, estimatedTime }
    */
   async startBackgroundHarvest(options = {}) {
@@ -98,97 +123,137 @@ export class HarvestService {
 
     // Check for lock file (in case process crashed mid-harvest)
     if (fs.existsSync(this.lockPath)) {
-      console.warn('Lock file exists from previous harvest. Removing...');
+      log.warn('Lock file exists from previous harvest. Removing...');
       fs.unlinkSync(this.lockPath);
     }
 
     this.isHarvesting = true;
+    fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
     fs.writeFileSync(this.lockPath, JSON.stringify({ startTime: new Date().toISOString() }), 'utf8');
 
     const {
       concurrency = 1,
-      minTime = 12000,
-      maxRetries = 3,
+      minTime = this.defaultMinTime,
+      maxRetries = this.defaultMaxRetries,
       targetPokemon = null, // null = all, or array of specific names
       targetCountries = null, // null = all, or array of country codes
-      aggressive = false
+      aggressive = false,
+      normalize = false, // rescale onto the anchor scale once fetching is done
+      includeRegions = false, // also fetch one worldwide per-country breakdown per Pokémon
+      timeframe = DEFAULT_TIMEFRAME, // time window to harvest (7d, 90d, 12m, 5y, all)
+      method = DEFAULT_SCORING_METHOD // scoring strategy (see ScoringStrategies.js)
     } = options;
 
-    // Run harvest in background (don't block)
-    this.doHarvest(concurrency, minTime, maxRetries, targetPokemon, targetCountries)
-      .then(() => {
-        console.log('✅ Background harvest completed');
+    // Run harvest in background (don't block); every log line of the job carries its jobId
+    const jobId = generateId('harvest');
+    this.progress.jobId = jobId;
+    this.emit('started', { jobId, timeframe, method, targetCountries, targetPokemon });
+    runInNewContext({ jobId }, () => this.doHarvest(concurrency, this.paced ? minTime : 0, maxRetries, targetPokemon, targetCountries, timeframe, includeRegions, method)
+      .then(async () => {
+        log.info('✅ Background harvest completed');
+        if (normalize && this.normalizer) {
+          await this.normalizeScores({ targetCountries, targetPokemon });
+        }
+        this.emit('completed', this.getProgress());
       })
       .catch((err) => {
-        console.error('❌ Background harvest failed:', err.message);
+        log.error('❌ Background harvest failed', { error: err });
+        this.emit('failed', { ...this.getProgress(), error: err.message });
       })
       .finally(() => {
         this.isHarvesting = false;
         if (fs.existsSync(this.lockPath)) {
           fs.unlinkSync(this.lockPath);
         }
-      });
+      }));
 
-    return { status: 'started', estimatedTime: '2-4 hours', progress: this.progress };
+    return { status: 'started', jobId, estimatedTime: '2-4 hours', progress: this.progress };
   }
 
   /**
    * Perform the actual harvest
    */
-  async doHarvest(concurrency, minTime, maxRetries, targetPokemon, targetCountries) {
-    console.log(`🌱 Starting harvest: concurrency=${concurrency}, minTime=${minTime}ms, maxRetries=${maxRetries}`);
+  async doHarvest(concurrency, minTime, maxRetries, targetPokemon, targetCountries, timeframe = DEFAULT_TIMEFRAME, includeRegions = false, method = DEFAULT_SCORING_METHOD) {
+    log.info(`🌱 Starting harvest: timeframe=${timeframe}, method=${method}, concurrency=${concurrency}, minTime=${minTime}ms, maxRetries=${maxRetries}`);
 
     // Load existing data to avoid re-fetching fresh entries
-    this.loadExistingData();
+    this.store.load();
 
     // Fetch Pokemon list
     const allPokemon = await this.pokemonListFetcher();
-    console.log(`Found ${allPokemon.length} Pokémon to consider`);
+    log.info(`Found ${allPokemon.length} Pokémon to consider`);
 
     // Determine what to fetch (skip entries < 7 days old)
-    const toFetch = this.getStaleEntries(allPokemon, targetPokemon, targetCountries);
-    console.log(`Will fetch ${toFetch.length} stale entries`);
+    const toFetch = this.getStaleEntries(allPokemon, targetPokemon, targetCountries, timeframe);
+    log.info(`Will fetch ${toFetch.length} stale entries`);
 
     this.progress.total = toFetch.length;
     this.progress.current = 0;
     this.progress.successCount = 0;
     this.progress.fallbackCount = 0;
+    this.progress.regionsCount = 0;
+    this.startedAt = Date.now();
+    this.emitProgress();
 
     // Use Bottleneck for rate limiting
     const limiter = new Bottleneck({ minTime, maxConcurrent: concurrency });
 
     for (const { pokemon, country } of toFetch) {
-      await limiter.schedule(() => this.fetchAndSave(pokemon, country, maxRetries));
+      await this.waitForUpstream();
+      await limiter.schedule(() => this.fetchAndSave(pokemon, country, maxRetries, timeframe, method));
       this.progress.current++;
+      this.emitProgress();
 
       // Log progress every 10 items
       if (this.progress.current % 10 === 0) {
-        console.log(`Progress: ${this.progress.current}/${this.progress.total} (${this.progress.successCount} success, ${this.progress.fallbackCount} fallback)`);
+        log.info(`Progress: ${this.progress.current}/${this.progress.total} (${this.progress.successCount} success, ${this.progress.fallbackCount} fallback)`);
       }
     }
 
+    if (includeRegions && this.regionsClient) {
+      const pokemon = targetPokemon ? allPokemon.filter(p => targetPokemon.includes(p.name)) : allPokemon;
+      await this.harvestRegions(pokemon, timeframe, limiter);
+    }
+
     // Update metadata
     this.currentData.metadata.lastHarvest = new Date().toISOString();
+    this.currentData.metadata.defaultTimeframe = DEFAULT_TIMEFRAME;
+    this.currentData.metadata.timeframes = {
+      ...(this.currentData.metadata.timeframes || {}),
+      [timeframe]: { lastHarvest: this.currentData.metadata.lastHarvest }
+    };
     this.currentData.lastUpdate = new Date().toISOString();
     this.currentData.metadata.totalPokemon = allPokemon.length;
     this.currentData.metadata.successRate = this.progress.total > 0 
-      ? ((this.progress.successCount / this.progress.total) * 100).toFixed(1)
+      ? Math.round((this.progress.successCount / this.progress.total) * 1000) / 10
       : 0;
 
     await this.saveData();
-    console.log(`✅ Harvest complete: ${this.progress.successCount}/${this.progress.total} success (${this.currentData.metadata.successRate}% rate)`);
+    log.info(`✅ Harvest complete: ${this.progress.successCount}/${this.progress.total} success (${this.currentData.metadata.successRate}% rate)`);
+  }
+
+  /**
+   * Hold the harvest while the upstream circuit breaker is open
+   */
+  async waitForUpstream() {
+    if (!this.circuitBreaker || !this.circuitBreaker.isOpen()) return;
+    log.warn(`⏸️  Upstream circuit open, harvest waiting (${this.progress.current}/${this.progress.total})`);
+    this.progress.waitingForUpstream = true;
+    this.emit('blocked', { ...this.getProgress(), retryInMs: this.circuitBreaker.remainingOpenMs() });
+    await this.circuitBreaker.waitUntilAllowed();
+    this.progress.waitingForUpstream = false;
+    log.info('▶️  Upstream available again, resuming harvest');
   }
 
   /**
    * Get list of stale entries that need refresh
    * @returns {Array<{pokemon: {name, id}, country: string}>}
    */
-  getStaleEntries(allPokemon, targetPokemon, targetCountries) {
-    const STALE_THRESHOLD = 7 * 24 * 60 * 60 * 1000; // 7 days
+  getStaleEntries(allPokemon, targetPokemon, targetCountries, timeframe = DEFAULT_TIMEFRAME) {
     const now = Date.now();
 
-    // Default countries: US, JP, ES, GB, DE, FR
-    const countries = targetCountries || ['US', 'JP', 'ES', 'GB', 'DE', 'FR'];
+    // Default countries come from config (TRENDS_COUNTRIES)
+    const countries = targetCountries || this.countries;
     
     // Filter Pokemon if target list provided
     const pokemon = targetPokemon 
@@ -199,7 +264,7 @@ export class HarvestService {
 
     for (const country of countries) {
       for (const p of pokemon) {
-        const entry = this.currentData?.countries?.[country]?.[p.name];
+        const entry = this.getEntry(country, p.name, timeframe);
         
         if (!entry) {
           // No data yet
@@ -208,7 +273,7 @@ export class HarvestService {
           // Check if stale
           const lastFetched = entry.lastFetched ? new Date(entry.lastFetched).getTime() : 0;
           const age = now - lastFetched;
-          if (age > STALE_THRESHOLD) {
+          if (age > this.staleAfterMs) {
             toFetch.push({ pokemon: p, country });
           }
         }
@@ -218,33 +283,57 @@ export class HarvestService {
     return toFetch;
   }
 
+  /**
+   * Get the stored entry for one Pokemon+country+time window.
+   * The default window lives at the top level of the entry (what the frontend reads);
+   * other windows are nested under `entry.timeframes[timeframe]`.
+   */
+  getEntry(country, pokemonName, timeframe = DEFAULT_TIMEFRAME) {
+    const entry = this.currentData?.countries?.[country]?.[pokemonName];
+    if (!entry) return null;
+    return timeframe === DEFAULT_TIMEFRAME ? entry : (entry.timeframes?.[timeframe] || null);
+  }
+
+  /**
+   * Store the entry for one Pokemon+country+time window, keeping the other windows
+   * and the last normalized score
+   */
+  setEntry(country, pokemonName, timeframe, value) {
+    if (!this.currentData.countries[country]) {
+      this.currentData.countries[country] = {};
+    }
+    const existing = this.currentData.countries[country][pokemonName];
+
+    if (timeframe === DEFAULT_TIMEFRAME) {
+      // The last normalization is kept until the next run (see keptEntryFields)
+      this.currentData.countries[country][pokemonName] = {
+        ...value,
+        ...keptEntryFields(existing),
+        ...(existing?.timeframes ? { timeframes: existing.timeframes } : {})
+      };
+      return;
+    }
+
+    const entry = existing || {};
+    entry.timeframes = { ...(entry.timeframes || {}), [timeframe]: value };
+    this.currentData.countries[country][pokemonName] = entry;
+  }
+
   /**
    * Fetch trends for one Pokemon+country and save incrementally
    */
-  async fetchAndSave(pokemon, country, maxRetries) {
+  async fetchAndSave(pokemon, country, maxRetries, timeframe = DEFAULT_TIMEFRAME, method = DEFAULT_SCORING_METHOD) {
     let attempt = 0;
     let lastError = null;
 
     while (attempt < maxRetries) {
       try {
-        const data = await this.trendsClient(pokemon.name, country, pokemon.id);
-        
-        // Initialize country object if needed
-        if (!this.currentData.countries[country]) {
-          this.currentData.countries[country] = {};
-        }
+        const data = await this.trendsClient(pokemon.name, country, pokemon.id, timeframe, method);
 
-        // Store the entry
-        this.currentData.countries[country][pokemon.name] = {
-          score: data.score,
-          avgScore: data.avgScore || null,
-          maxScore: data.maxScore || null,
-          estimatedSearches: data.estimatedSearches || null,
-          estimatedLabel: data.estimatedLabel || null,
-          topicId: data.topicId || null,
-          lastFetched: new Date().toISOString(),
-          fallback: !!data.fallback
-        };
+        // Store the entry (same shape as the continuous refresh, see dataSchema.js)
+        const entry = toEntry(data);
+        this.setEntry(country, pokemon.name, timeframe, entry);
+        this.history?.record({ ...entry, pokemonName: pokemon.name, countryCode: country, timeframe }, 'harvest');
 
         // Store topicId globally if found
         if (data.topicId && !this.currentData.topicIds[pokemon.name]) {
@@ -257,6 +346,10 @@ export class HarvestService {
         } else {
           this.progress.successCount++;
         }
+        this.emit(data.fallback ? 'fallback' : 'fetched', {
+          pokemonName: pokemon.name, countryCode: country, timeframe, score: data.score,
+          ...(data.error ? { error: data.error } : {})
+        });
 
         // Save incrementally every 20 items
         if (this.progress.current % 20 === 0) {
@@ -275,17 +368,134 @@ export class HarvestService {
     }
 
     // If all retries failed, store a fallback entry
-    console.warn(`Failed to fetch ${pokemon.name} (${country}) after ${maxRetries} attempts`);
-    if (!this.currentData.countries[country]) {
-      this.currentData.countries[country] = {};
-    }
-    this.currentData.countries[country][pokemon.name] = {
-      score: this.getFallbackScore(pokemon.name),
+    log.warn(`Failed to fetch ${pokemon.name} (${country}, ${timeframe}) after ${maxRetries} attempts`, { pokemonName: pokemon.name, countryCode: country, timeframe });
+    const score = this.getFallbackScore(pokemon.name);
+    this.setEntry(country, pokemon.name, timeframe, {
+      score,
       fallback: true,
       lastFetched: new Date().toISOString(),
       error: lastError?.message || 'Unknown error'
-    };
+    });
+    this.history?.record({ pokemonName: pokemon.name, countryCode: country, timeframe, score, fallback: true }, 'harvest');
     this.progress.fallbackCount++;
+    this.emit('fallback', { pokemonName: pokemon.name, countryCode: country, timeframe, score, error: lastError?.message || 'Unknown error' });
+  }
+
+  /**
+   * Fetch the worldwide per-country breakdown for each Pokémon (one request per Pokémon,
+   * instead of one harvest per country) and store it under `regions[timeframe][pokemonName]`
+   */
+  async harvestRegions(pokemonList, timeframe, limiter) {
+    if (!this.currentData.regions) this.currentData.regions = {};
+    if (!this.currentData.regions[timeframe]) this.currentData.regions[timeframe] = {};
+    const stored = this.currentData.regions[timeframe];
+
+    const stale = pokemonList.filter(p => {
+      const lastFetched = stored[p.name]?.lastFetched ? new Date(stored[p.name].lastFetched).getTime() : 0;
+      return Date.now() - lastFetched > this.staleAfterMs;
+    });
+    log.info(`🗺️  Fetching region breakdowns for ${stale.length} Pokémon (${timeframe})`);
+
+    for (const pokemon of stale) {
+      await this.waitForUpstream();
+      const data = await limiter.schedule(() => this.regionsClient(pokemon.name, { resolution: 'COUNTRY', timeframe }));
+      if (data.fallback) continue; // keep the previous breakdown rather than storing an empty one
+
+      stored[pokemon.name] = {
+        resolution: data.resolution,
+        regions: data.regions,
+        topRegion: data.topRegion,
+        lastFetched: new Date().toISOString()
+      };
+      this.progress.regionsCount++;
+
+      if (this.progress.regionsCount % 20 === 0) {
+        await this.saveData();
+      }
+    }
+  }
+
+  /**
+   * Start anchor normalization in the background (non-blocking)
+   * @param {Object} options - { targetCountries, targetPokemon }
+   * @returns {Object} - { status }
+   */
+  startBackgroundNormalization(options = {}) {
+    if (!this.normalizer) {
+      return { status: 'unavailable', error: 'No normalizer configured' };
+    }
+    if (this.isNormalizing) {
+      return { status: 'already_running' };
+    }
+
+    const jobId = generateId('normalize');
+    runInNewContext({ jobId }, () => this.normalizeScores(options)
+      .then((summary) => {
+        log.info('✅ Background normalization completed', summary);
+      })
+      .catch((err) => {
+        log.error('❌ Background normalization failed', { error: err });
+      }));
+
+    return { status: 'started', jobId };
+  }
+
+  /**
+   * Rescale stored scores onto the shared anchor scale (see AnchorNormalizer).
+   * Writes `normalizedScore` next to the per-Pokémon `score` of each entry.
+   * @param {Object} options - { targetCountries, targetPokemon }
+   * @returns {Promise<Object>} - { [country]: { normalized, failures } }
+   */
+  async normalizeScores({ targetCountries = null, targetPokemon = null } = {}) {
+    if (!this.normalizer) {
+      throw new Error('No normalizer configured');
+    }
+    this.isNormalizing = true;
+    const summary = {};
+
+    try {
+      const countries = targetCountries || Object.keys(this.currentData.countries || {});
+
+      for (const country of countries) {
+        const entries = this.currentData.countries?.[country] || {};
+        // Skip shells that only hold non-default time windows
+        const names = Object.keys(entries)
+          .filter(name => entries[name]?.score != null)
+          .filter(name => !targetPokemon || targetPokemon.includes(name));
+        if (names.length === 0) continue;
+
+        log.info(`⚖️  Normalizing ${names.length} Pokémon for ${country} against "${this.normalizer.anchor}"`);
+        let normalized = 0;
+        const applyScores = async (scores) => {
+          for (const [name, result] of Object.entries(scores)) {
+            const entry = this.currentData.countries[country]?.[name];
+            if (!entry || result.normalizedScore == null) continue;
+            entry.normalizedScore = result.normalizedScore;
+            entry.normalizedAt = new Date().toISOString();
+            normalized++;
+          }
+          await this.saveData();
+        };
+
+        const result = await this.normalizer.normalize(names, country, applyScores);
+        // The anchor itself is 100 by definition
+        await applyScores({ [result.anchor]: result.scores[result.anchor] });
+
+        this.currentData.metadata.normalization = {
+          anchor: result.anchor,
+          anchorTerm: result.anchorTerm,
+          groupSize: result.groupSize,
+          scale: 'anchor = 100',
+          lastNormalized: result.normalizedAt
+        };
+        summary[country] = { normalized, failures: result.failures.length };
+      }
+
+      await this.saveData();
+      return summary;
+    } finally {
+      this.isNormalizing = false;
+    }
   }
 
   /**
@@ -300,17 +510,7 @@ export class HarvestService {
    * Save data to disk (atomic write)
    */
   async saveData() {
-    try {
-      const dataDir = path.dirname(this.dataPath);
-      await fsp.mkdir(dataDir, { recursive: true });
-      
-      const tmp = this.dataPath + '.tmp';
-      await fsp.writeFile(tmp, JSON.stringify(this.currentData, null, 2), 'utf8');
-      await fsp.rename(tmp, this.dataPath);
-      
-      this.currentData.lastUpdate = new Date().toISOString();
-    } catch (err) {
-      console.error('Failed to save trends data:', err.message);
-    }
+    await this.store.save();
+    this.emit('saved', { current: this.progress.current, total: this.progress.total });
   }
 }
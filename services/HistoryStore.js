@@ -0,0 +1,147 @@
+/**
+ * @file HistoryStore.js
+ * Append-only history of harvested scores (data/trends_history.jsonl).
+ * The data file keeps only the latest score per Pokémon/country; every time the
+ * harvest or the continuous refresh stores an entry, a snapshot is also appended
+ * here, one JSON object per line:
+ *
+ *   {"at":"…","pokemonName":"pikachu","countryCode":"US","timeframe":"12m","score":75.4,
+ *    "avgScore":61.2,"maxScore":100,"estimatedSearches":1508968,"source":"harvest","fallback":false,"jobId":"harvest-…"}
+ *
+ * Lines are never rewritten. Snapshots are indexed in memory by Pokémon for
+ * GET /data/history; appends are batched and serialized like TrendsDataStore saves.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { DEFAULT_TIMEFRAME } from './timeframes.js';
+import { createLogger, getContext } from './logger.js';
+
+const log = createLogger('history');
+
+export const HISTORY_SOURCES = ['harvest', 'refresh'];
+
+export class HistoryStore {
+  /**
+   * @param {string} filePath - JSONL history file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.byPokemon = new Map(); // pokemonName -> snapshots in append order
+    this.pendingLines = [];
+    this.writing = Promise.resolve();
+    this.stats = { snapshots: 0, skippedLines: 0, appendErrors: 0 };
+  }
+
+  /**
+   * Read the history file into the in-memory index; unparsable lines are skipped
+   */
+  async load() {
+    this.byPokemon.clear();
+    this.stats.snapshots = 0;
+    this.stats.skippedLines = 0;
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const lines = readline.createInterface({ input: fs.createReadStream(this.filePath, 'utf8'), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          this.index(JSON.parse(line));
+        } catch {
+          this.stats.skippedLines++;
+        }
+      }
+      log.info(`📈 Loaded ${this.stats.snapshots} history snapshots for ${this.byPokemon.size} Pokémon`);
+      if (this.stats.skippedLines > 0) log.warn(`Skipped ${this.stats.skippedLines} unreadable history lines`);
+    } catch (err) {
+      log.warn('Failed to load score history', { error: err });
+    }
+  }
+
+  index(snapshot) {
+    if (!snapshot?.pokemonName || !snapshot.countryCode) throw new Error('incomplete snapshot');
+    let list = this.byPokemon.get(snapshot.pokemonName);
+    if (!list) {
+      list = [];
+      this.byPokemon.set(snapshot.pokemonName, list);
+    }
+    list.push(snapshot);
+    this.stats.snapshots++;
+  }
+
+  /**
+   * Append a snapshot of a stored entry
+   * @param {Object} entry - { pokemonName, countryCode, timeframe, score, avgScore, maxScore, estimatedSearches, fallback }
+   * @param {string} source - Writer: 'harvest' or 'refresh'
+   * @returns {Object} The snapshot
+   */
+  record(entry, source) {
+    const snapshot = {
+      at: new Date().toISOString(),
+      pokemonName: entry.pokemonName,
+      countryCode: entry.countryCode,
+      timeframe: entry.timeframe || DEFAULT_TIMEFRAME,
+      score: entry.score ?? null,
+      avgScore: entry.avgScore ?? null,
+      maxScore: entry.maxScore ?? null,
+      estimatedSearches: entry.estimatedSearches ?? null,
+      source,
+      fallback: !!entry.fallback,
+      ...(getContext().jobId ? { jobId: getContext().jobId } : {})
+    };
+    this.index(snapshot);
+    this.pendingLines.push(JSON.stringify(snapshot));
+    this.flush();
+    return snapshot;
+  }
+
+  /**
+   * Append buffered snapshots to the file. Appends are chained, so lines keep their order.
+   * @returns {Promise<void>} Resolves once everything recorded so far is on disk; errors are logged
+   */
+  flush() {
+    this.writing = this.writing.then(async () => {
+      if (this.pendingLines.length === 0) return;
+      const lines = this.pendingLines;
+      this.pendingLines = [];
+      try {
+        await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fsp.appendFile(this.filePath, lines.join('\n') + '\n', 'utf8');
+      } catch (err) {
+        this.stats.appendErrors++;
+        log.error(`Failed to append ${lines.length} history snapshots`, { error: err });
+      }
+    });
+    return this.writing;
+  }
+
+  /**
+   * Snapshots for one Pokémon, oldest first
+   * @param {Object} filter - { pokemonName, countryCode, timeframe, since, includeFallback, limit }
+   *   since: ISO date; limit keeps the most recent snapshots per country
+   * @returns {Object} countryCode -> snapshots
+   */
+  query({ pokemonName, countryCode = null, timeframe = DEFAULT_TIMEFRAME, since = null, includeFallback = true, limit = null }) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const countries = {};
+    for (const snapshot of this.byPokemon.get(pokemonName) || []) {
+      if (countryCode && snapshot.countryCode !== countryCode) continue;
+      if (snapshot.timeframe !== timeframe) continue;
+      if (!includeFallback && snapshot.fallback) continue;
+      if (sinceTime && new Date(snapshot.at).getTime() < sinceTime) continue;
+      (countries[snapshot.countryCode] ||= []).push(snapshot);
+    }
+    for (const [country, list] of Object.entries(countries)) {
+      list.sort((a, b) => a.at.localeCompare(b.at));
+      if (limit && list.length > limit) countries[country] = list.slice(-limit);
+    }
+    return countries;
+  }
+
+  getStats() {
+    return { ...this.stats, pokemon: this.byPokemon.size, file: this.filePath };
+  }
+}
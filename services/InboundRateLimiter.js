@@ -0,0 +1,112 @@
+/**
+ * @file InboundRateLimiter.js
+ * Per-client token-bucket rate limiting for public endpoints.
+ * Each client (a configured API key, otherwise the IP address) gets a bucket that
+ * holds up to `burst` requests and refills at `perMinute`. Rejections carry the
+ * number of seconds until a token is available, for the Retry-After header.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('ratelimit');
+
+// Retry-After for buckets that never refill (perMinute 0)
+const NO_REFILL_RETRY_AFTER_SEC = 60;
+
+/**
+ * Parse rate-limit API keys (TRENDS_RATE_LIMIT_API_KEYS): "name:key" items
+ * @param {Array<string>} list
+ * @returns {Map<string, string>} key -> client name
+ */
+export function parseApiKeys(list = []) {
+  const keys = new Map();
+  for (const item of list) {
+    const separator = String(item).indexOf(':');
+    if (separator > 0) keys.set(item.slice(separator + 1), item.slice(0, separator));
+  }
+  return keys;
+}
+
+export class InboundRateLimiter {
+  /**
+   * @param {Object} options - { perMinute, burst, maxClients, apiKeys }
+   *   perMinute: refill rate; 0 never refills, so a client gets `burst` requests in all
+   *   apiKeys: Map of X-Api-Key value -> client name (see parseApiKeys). Unknown keys are
+   *   ignored, so sending a fresh random key does not get a fresh bucket.
+   */
+  constructor(options = {}) {
+    this.apiKeys = options.apiKeys || new Map();
+    this.perMinute = options.perMinute ?? 60;
+    this.burst = options.burst ?? Math.max(1, this.perMinute);
+    this.maxClients = options.maxClients || 10000;
+    this.buckets = new Map(); // clientKey -> { tokens, updatedAt }, least recently seen first
+    this.stats = { allowed: 0, rejected: 0 };
+  }
+
+  /**
+   * Identify the client: a configured API key (by name, never the secret), otherwise the IP address
+   * (req.ip: behind a reverse proxy this needs the app's 'trust proxy' setting, see TRUST_PROXY)
+   * @param {Object} req - Express request
+   * @returns {string}
+   */
+  clientKey(req) {
+    const apiKey = req.get('x-api-key');
+    const name = apiKey ? this.apiKeys.get(apiKey) : null;
+    return name ? `key:${name}` : `ip:${req.ip}`;
+  }
+
+  /**
+   * Try to consume one token for a client
+   * @param {string} clientKey
+   * @returns {{ allowed: boolean, remaining: number, retryAfterSec: number }}
+   */
+  take(clientKey) {
+    const now = Date.now();
+    const refillPerMs = this.perMinute / 60000;
+    const bucket = this.buckets.get(clientKey) || { tokens: this.burst, updatedAt: now };
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+
+    // Re-insert so the map stays ordered by last use
+    this.buckets.delete(clientKey);
+    this.buckets.set(clientKey, bucket);
+    while (this.buckets.size > this.maxClients) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      this.stats.allowed++;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSec: 0 };
+    }
+    this.stats.rejected++;
+    const retryAfterSec = refillPerMs > 0 ? Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)) : NO_REFILL_RETRY_AFTER_SEC;
+    return { allowed: false, remaining: 0, retryAfterSec };
+  }
+
+  /**
+   * Express middleware that rejects over-limit clients with 429 + Retry-After
+   * @param {string} label - Used in logs and the error message
+   */
+  middleware(label = 'requests') {
+    return (req, res, next) => {
+      const clientKey = this.clientKey(req);
+      const result = this.take(clientKey);
+      res.set('X-RateLimit-Limit', String(this.perMinute));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+      if (!result.allowed) {
+        log.warn(`🚦 Rate limited ${clientKey} on ${req.method} ${req.originalUrl} (${label})`);
+        res.set('Retry-After', String(result.retryAfterSec));
+        return res.status(429).json({
+          error: `Too many ${label}, retry in ${result.retryAfterSec}s`,
+          retryAfter: result.retryAfterSec
+        });
+      }
+      next();
+    };
+  }
+
+  getStats() {
+    return { clients: this.buckets.size, perMinute: this.perMinute, burst: this.burst, ...this.stats };
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * @file MetricsRegistry.js
+ * Minimal Prometheus metrics registry (counters, gauges, histograms) rendered in
+ * the text exposition format for a `/metrics` scrape endpoint.
+ * Gauges and counters may be given a `collect` function that is evaluated at
+ * scrape time, so existing state (cache stats, harvest progress) needs no mirroring.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('metrics');
+
+// Default latency buckets in seconds: upstream Trends calls range from ~100ms to a minute of retries
+export const DEFAULT_LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  const n = Number(value);
+  return Number.isFinite(n) ? String(n) : 'NaN';
+}
+
+// Series are stored by their serialized label set
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+class Metric {
+  constructor(type, name, help, options = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.collect = options.collect || null; // () => number | Array<{ labels, value }>
+    this.series = new Map(); // seriesKey -> { labels, value }
+  }
+
+  samples() {
+    if (!this.collect) return Array.from(this.series.values());
+    const collected = this.collect();
+    if (Array.isArray(collected)) return collected;
+    return collected === null || collected === undefined ? [] : [{ labels: {}, value: collected }];
+  }
+
+  render() {
+    return this.samples().map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = seriesKey(labels);
+    const current = this.series.get(key) || { labels, value: 0 };
+    current.value += amount;
+    this.series.set(key, current);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+
+  set(labels = {}, value) {
+    this.series.set(seriesKey(labels), { labels, value });
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, options = {}) {
+    super('histogram', name, help);
+    this.buckets = [...(options.buckets || DEFAULT_LATENCY_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const key = seriesKey(labels);
+    let current = this.series.get(key);
+    if (!current) {
+      current = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, current);
+    }
+    this.buckets.forEach((le, i) => {
+      if (value <= le) current.counts[i]++;
+    });
+    current.sum += value;
+    current.count++;
+  }
+
+  /**
+   * Time an async function and observe its duration in seconds
+   * @param {Object|Function} labels - Labels, or (error, result) => labels to label by outcome
+   * @param {Function} fn - Async function to time
+   */
+  async time(labels, fn) {
+    const start = process.hrtime.bigint();
+    const seconds = () => Number(process.hrtime.bigint() - start) / 1e9;
+    try {
+      const result = await fn();
+      this.observe(typeof labels === 'function' ? labels(null, result) : labels, seconds());
+      return result;
+    } catch (err) {
+      this.observe(typeof labels === 'function' ? labels(err) : labels, seconds());
+      throw err;
+    }
+  }
+
+  render() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric "${metric.name}" is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {Object} options - { collect }
+   * @returns {Counter}
+   */
+  counter(name, help, options = {}) {
+    return this.register(new Counter(name, help, options));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {Object} options - { collect }
+   * @returns {Gauge}
+   */
+  gauge(name, help, options = {}) {
+    return this.register(new Gauge(name, help, options));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {Object} options - { buckets } (seconds)
+   * @returns {Histogram}
+   */
+  histogram(name, help, options = {}) {
+    return this.register(new Histogram(name, help, options));
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format (version 0.0.4)
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      let samples;
+      try {
+        samples = metric.render();
+      } catch (err) {
+        log.warn(`Failed to collect metric ${metric.name}`, { error: err });
+        continue;
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...samples);
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,144 @@
+/**
+ * @file ProgressStream.js
+ * Server-Sent Events broadcaster for background job progress.
+ * Services are attached as named sources (harvest, refresh, upstream); every event
+ * they emit is numbered and written to connected clients as
+ *
+ *   id: 42
+ *   event: fetched
+ *   data: {"source":"harvest","type":"fetched","at":"...", ...}
+ *
+ * Recent events are kept so a client reconnecting with Last-Event-ID resumes
+ * without gaps. A comment line is sent every `heartbeatMs` to keep proxies from
+ * closing idle connections.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('events');
+
+export class ProgressStream {
+  /**
+   * @param {Object} options - { heartbeatMs, historySize, retryMs }
+   *   historySize: events kept for Last-Event-ID replay
+   *   retryMs: reconnection delay suggested to EventSource clients
+   */
+  constructor(options = {}) {
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.historySize = options.historySize || 200;
+    this.retryMs = options.retryMs || 5000;
+    this.clients = new Set(); // { res, sources: Set|null }
+    this.history = [];
+    this.lastId = 0;
+    this.detachers = [];
+    this.heartbeat = null;
+    this.stats = { published: 0, connections: 0 };
+  }
+
+  get clientCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * Forward events from an EventEmitter
+   * @param {string} source - Source name put on every event (used by the ?source= filter)
+   * @param {EventEmitter} emitter
+   * @param {Array<string>} events - Event names to forward
+   */
+  attach(source, emitter, events) {
+    for (const type of events) {
+      const listener = (payload) => this.publish(source, type, payload);
+      emitter.on(type, listener);
+      this.detachers.push(() => emitter.off(type, listener));
+    }
+  }
+
+  /**
+   * Number, remember and broadcast one event
+   * @returns {Object} The event as sent
+   */
+  publish(source, type, payload = {}) {
+    const event = { id: ++this.lastId, source, type, data: { source, type, at: new Date().toISOString(), ...payload } };
+    this.history.push(event);
+    if (this.history.length > this.historySize) this.history.shift();
+    this.stats.published++;
+
+    for (const client of this.clients) {
+      if (!client.sources || client.sources.has(source)) this.write(client.res, event);
+    }
+    return event;
+  }
+
+  write(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  /**
+   * Express handler that opens a stream.
+   * Query: ?source=harvest,refresh limits the sources. Last-Event-ID (header, or ?lastEventId=)
+   * replays the remembered events after that id.
+   * @param {Object} options - { snapshot: () => Object } sent as a `status` event on connect
+   * @returns {Function}
+   */
+  handler({ snapshot } = {}) {
+    return (req, res) => {
+      const sources = req.query.source
+        ? new Set(String(req.query.source).split(',').map(s => s.trim()).filter(Boolean))
+        : null;
+      const client = { res, sources };
+
+      res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+      });
+      res.flushHeaders();
+      res.write(`retry: ${this.retryMs}\n\n`);
+
+      const lastEventId = parseInt(req.get('last-event-id') || req.query.lastEventId, 10);
+      if (Number.isFinite(lastEventId)) {
+        for (const event of this.history) {
+          if (event.id > lastEventId && (!sources || sources.has(event.source))) this.write(res, event);
+        }
+      }
+      if (snapshot) {
+        res.write(`event: status\ndata: ${JSON.stringify({ type: 'status', at: new Date().toISOString(), ...snapshot() })}\n\n`);
+      }
+
+      this.clients.add(client);
+      this.stats.connections++;
+      this.startHeartbeat();
+      log.debug(`📡 Progress stream opened (${this.clients.size} connected)`, { client: req.ip });
+
+      req.on('close', () => {
+        this.clients.delete(client);
+        if (this.clients.size === 0) this.stopHeartbeat();
+      });
+    };
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      for (const { res } of this.clients) res.write(': ping\n\n');
+    }, this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * End every open stream and stop forwarding events (lets the HTTP server close)
+   */
+  close() {
+    this.stopHeartbeat();
+    for (const { res } of this.clients) res.end();
+    this.clients.clear();
+    for (const detach of this.detachers) detach();
+    this.detachers = [];
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * @file ProxyPool.js
+ * Pool of outbound proxies for Google Trends requests.
+ * Proxies are picked round-robin or by weight (smooth weighted round-robin),
+ * and each one tracks its own outcomes. A proxy that keeps getting 429s or
+ * HTML block pages is quarantined for a while, so one burned IP no longer
+ * turns a whole harvest into fallback scores.
+ */
+
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { createLogger } from './logger.js';
+
+const log = createLogger('proxy');
+
+export const PROXY_STRATEGIES = ['round-robin', 'weighted'];
+
+// Outcomes that count towards quarantine
+const BLOCK_OUTCOMES = new Set(['rate_limited', 'blocked_html']);
+
+/**
+ * Classify an upstream call: 'success', 'rate_limited', 'blocked_html' or 'error'
+ * @param {Error|null} err
+ * @param {string} raw - Raw response body when the call resolved
+ */
+export function classifyUpstreamOutcome(err, raw) {
+  if (err) {
+    // google-trends-api throws a parse error carrying the response body when the explore request is refused
+    const body = typeof err.requestBody === 'string' ? err.requestBody : '';
+    const msg = `${err.message || ''} ${body.slice(0, 500)}`.toLowerCase();
+    if (msg.includes('429') || msg.includes('too many requests') || msg.includes('rate limit')) return 'rate_limited';
+    return isHTML(body) ? 'blocked_html' : 'error';
+  }
+  return isHTML(raw) ? 'blocked_html' : 'success';
+}
+
+function isHTML(body) {
+  const text = typeof body === 'string' ? body.trim().toLowerCase() : '';
+  return text.startsWith('<') || text.includes('<html');
+}
+
+/**
+ * Parse a proxy list: "url,url|weight,..." (weight defaults to 1)
+ * @param {string|Array<string>} spec
+ * @returns {Array<{ url: string, weight: number }>}
+ */
+export function parseProxyList(spec) {
+  const items = Array.isArray(spec) ? spec : String(spec || '').split(',');
+  return items.map(s => String(s).trim()).filter(Boolean).map(item => {
+    const [url, weight] = item.split('|');
+    return { url: url.trim(), weight: Math.max(1, Number(weight) || 1) };
+  });
+}
+
+/**
+ * Proxy URL without credentials, safe for logs and the admin API
+ */
+function redactProxyUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}`;
+  } catch (err) {
+    return '[invalid proxy url]';
+  }
+}
+
+export class ProxyPool {
+  /**
+   * @param {Array<{ url, weight }>} proxies
+   * @param {Object} options - { strategy, quarantineAfter, quarantineMs, createAgent }
+   *   quarantineAfter: consecutive 429s/HTML blocks before a proxy is quarantined
+   *   quarantineMs: how long it sits out (doubles on each repeat quarantine, capped at 24h)
+   */
+  constructor(proxies = [], options = {}) {
+    this.strategy = PROXY_STRATEGIES.includes(options.strategy) ? options.strategy : 'round-robin';
+    this.quarantineAfter = options.quarantineAfter || 3;
+    this.quarantineMs = options.quarantineMs || 30 * 60 * 1000;
+    const createAgent = options.createAgent || ((url) => new HttpsProxyAgent(url));
+    this.nextIndex = 0;
+    this.proxies = proxies.map(({ url, weight = 1 }, i) => ({
+      id: `${redactProxyUrl(url)}#${i + 1}`,
+      url,
+      weight,
+      currentWeight: 0,
+      agent: createAgent(url),
+      quarantinedUntil: 0,
+      consecutiveBlocks: 0,
+      stats: { requests: 0, success: 0, rateLimited: 0, blockedHTML: 0, errors: 0, quarantines: 0, lastUsed: null, lastError: null }
+    }));
+  }
+
+  get size() {
+    return this.proxies.length;
+  }
+
+  isQuarantined(proxy, now = Date.now()) {
+    return proxy.quarantinedUntil > now;
+  }
+
+  /**
+   * Pick the proxy for the next request. When every proxy is quarantined, the one
+   * released soonest is used rather than failing the request.
+   * @returns {Object|null} Proxy record (null when the pool is empty: connect directly)
+   */
+  acquire() {
+    if (this.proxies.length === 0) return null;
+    const now = Date.now();
+    const available = this.proxies.filter(p => !this.isQuarantined(p, now));
+
+    let proxy;
+    if (available.length === 0) {
+      proxy = this.proxies.reduce((a, b) => (a.quarantinedUntil <= b.quarantinedUntil ? a : b));
+      log.warn(`⚠️  All ${this.proxies.length} proxies quarantined, using ${proxy.id}`);
+    } else if (this.strategy === 'weighted') {
+      // Smooth weighted round-robin: spreads heavier proxies out instead of using them in bursts
+      const total = available.reduce((sum, p) => sum + p.weight, 0);
+      for (const p of available) p.currentWeight += p.weight;
+      proxy = available.reduce((a, b) => (b.currentWeight > a.currentWeight ? b : a));
+      proxy.currentWeight -= total;
+    } else {
+      for (let i = 0; i < this.proxies.length; i++) {
+        const candidate = this.proxies[(this.nextIndex + i) % this.proxies.length];
+        if (!this.isQuarantined(candidate, now)) {
+          proxy = candidate;
+          this.nextIndex = (this.proxies.indexOf(candidate) + 1) % this.proxies.length;
+          break;
+        }
+      }
+    }
+
+    proxy.stats.requests++;
+    proxy.stats.lastUsed = new Date(now).toISOString();
+    return proxy;
+  }
+
+  /**
+   * Record the outcome of a request made through a proxy
+   * @param {Object} proxy - From acquire()
+   * @param {string} outcome - From classifyUpstreamOutcome()
+   * @param {Error} err - Optional error, kept as lastError
+   */
+  report(proxy, outcome, err = null) {
+    if (!proxy) return;
+    if (outcome === 'success') {
+      proxy.stats.success++;
+      proxy.consecutiveBlocks = 0;
+      return;
+    }
+    if (outcome === 'rate_limited') proxy.stats.rateLimited++;
+    else if (outcome === 'blocked_html') proxy.stats.blockedHTML++;
+    else proxy.stats.errors++;
+    proxy.stats.lastError = err?.message || outcome;
+
+    if (!BLOCK_OUTCOMES.has(outcome)) return;
+    proxy.consecutiveBlocks++;
+    if (proxy.consecutiveBlocks >= this.quarantineAfter && !this.isQuarantined(proxy)) {
+      const duration = Math.min(this.quarantineMs * Math.pow(2, proxy.stats.quarantines), 24 * 60 * 60 * 1000);
+      proxy.quarantinedUntil = Date.now() + duration;
+      proxy.stats.quarantines++;
+      proxy.consecutiveBlocks = 0;
+      log.warn(`🚧 Quarantined proxy ${proxy.id} for ${Math.round(duration / 60000)} min after ${this.quarantineAfter} consecutive blocks`, { proxy: proxy.id });
+    }
+  }
+
+  /**
+   * Health of every proxy (credentials removed) for the admin API
+   */
+  getStatus() {
+    const now = Date.now();
+    return {
+      strategy: this.strategy,
+      quarantineAfter: this.quarantineAfter,
+      quarantineMs: this.quarantineMs,
+      proxies: this.proxies.map(p => ({
+        id: p.id,
+        weight: p.weight,
+        healthy: !this.isQuarantined(p, now),
+        quarantinedUntil: this.isQuarantined(p, now) ? new Date(p.quarantinedUntil).toISOString() : null,
+        consecutiveBlocks: p.consecutiveBlocks,
+        ...p.stats
+      }))
+    };
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * @file SchemaValidator.js
+ * Request/response validation against the OpenAPI document (services/openapi.js).
+ * Implements the subset of JSON Schema the spec uses: type, nullable, enum,
+ * pattern, min/max(Length|Items), minimum/maximum, properties, required,
+ * additionalProperties, items and local `$ref`s.
+ * Query parameters are coerced to their declared types before validation, so
+ * routes receive numbers and booleans instead of raw strings. Templated paths
+ * (`/data/trends/{country}`) match one path segment per parameter.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('openapi');
+
+function resolveRef(spec, schema) {
+  let current = schema;
+  while (current && current.$ref) {
+    const path = current.$ref.replace(/^#\//, '').split('/');
+    current = path.reduce((node, key) => node?.[key], spec);
+    if (!current) throw new Error(`Unresolvable $ref ${schema.$ref}`);
+  }
+  return current;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} spec - Full OpenAPI document (for $ref resolution)
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} at - Path used in error messages
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateSchema(spec, schema, value, at = '$') {
+  // `nullable` may sit next to a $ref, so check it before resolving
+  if (value === null && schema?.nullable) return [];
+  schema = resolveRef(spec, schema);
+  if (!schema) return [];
+  const errors = [];
+
+  if (value === null) {
+    if (schema.nullable || schema.type === 'null') return [];
+    return [`${at} must not be null`];
+  }
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const ok = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+    if (!ok) return [`${at} must be ${schema.type} (got ${actual})`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`);
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(spec, schema.items, item, `${at}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key} is required`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(spec, properties[key], item, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(spec, schema.additionalProperties, item, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Coerce a raw query-string value to its schema type
+ * @returns {*} Coerced value, or the original string when it cannot be coerced (validation reports it)
+ */
+function coerceQueryValue(spec, schema, raw) {
+  schema = resolveRef(spec, schema);
+  if (Array.isArray(raw)) return raw; // repeated parameter: leave for validation to reject
+  switch (schema?.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? Number(raw) : raw;
+    case 'number':
+      return raw !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    case 'boolean':
+      if (raw === 'true' || raw === '1') return true;
+      if (raw === 'false' || raw === '0') return false;
+      return raw;
+    default:
+      return raw;
+  }
+}
+
+export class OpenApiValidator {
+  /**
+   * @param {Object} spec - OpenAPI 3 document
+   * @param {Object} options - { responses: 'off' | 'warn' | 'strict' }
+   */
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.responseMode = options.responses || 'warn';
+    this.stats = { requestErrors: 0, responseErrors: 0 };
+  }
+
+  /**
+   * Find the spec path for a request path: an exact match, else a template with one segment per parameter
+   * @returns {{ template: string, params: Object }|null}
+   */
+  matchPath(path) {
+    const paths = this.spec.paths || {};
+    if (paths[path]) return { template: path, params: {} };
+
+    const segments = path.split('/');
+    for (const template of Object.keys(paths)) {
+      if (!template.includes('{')) continue;
+      const parts = template.split('/');
+      if (parts.length !== segments.length) continue;
+      const params = {};
+      const matches = parts.every((part, i) => {
+        const name = /^\{(.+)\}$/.exec(part)?.[1];
+        if (!name) return part === segments[i];
+        if (!segments[i]) return false;
+        try {
+          params[name] = decodeURIComponent(segments[i]);
+        } catch {
+          params[name] = segments[i];
+        }
+        return true;
+      });
+      if (matches) return { template, params };
+    }
+    return null;
+  }
+
+  /**
+   * Find the operation for a request
+   * @returns {Object|null}
+   */
+  operationFor(method, path) {
+    const match = this.matchPath(path);
+    return match ? this.spec.paths[match.template][method.toLowerCase()] || null : null;
+  }
+
+  /**
+   * Validate and coerce query parameters and the JSON body, and validate path parameters
+   * @param {Object} pathParams - Values matched from a templated path (see matchPath)
+   * @returns {{ query: Object, errors: Array<string> }}
+   */
+  validateRequest(operation, req, pathParams = {}) {
+    const errors = [];
+    const query = { ...req.query };
+
+    for (const paramOrRef of operation.parameters || []) {
+      const param = resolveRef(this.spec, paramOrRef);
+      if (param.in === 'path') {
+        errors.push(...validateSchema(this.spec, param.schema, pathParams[param.name], `path.${param.name}`));
+        continue;
+      }
+      if (param.in !== 'query') continue;
+      const raw = query[param.name];
+      if (raw === undefined || raw === '') {
+        delete query[param.name];
+        if (param.required) errors.push(`query.${param.name} is required`);
+        else if (param.schema?.default !== undefined) query[param.name] = param.schema.default;
+        continue;
+      }
+      query[param.name] = coerceQueryValue(this.spec, param.schema, raw);
+      errors.push(...validateSchema(this.spec, param.schema, query[param.name], `query.${param.name}`));
+    }
+
+    const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+    if (bodySchema) {
+      const body = req.body && typeOf(req.body) === 'object' ? req.body : {};
+      errors.push(...validateSchema(this.spec, bodySchema, body, 'body'));
+    }
+
+    return { query, errors };
+  }
+
+  /**
+   * Validate a JSON response body against the documented schema for its status
+   * @returns {Array<string>}
+   */
+  validateResponse(operation, status, body) {
+    const responses = operation.responses || {};
+    const response = responses[String(status)] || responses[`${String(status)[0]}XX`] || responses.default;
+    const schema = response && resolveRef(this.spec, response)?.content?.['application/json']?.schema;
+    if (!response) return [`status ${status} is not documented`];
+    if (!schema) return [];
+    return validateSchema(this.spec, schema, body, 'response');
+  }
+
+  /**
+   * Express middleware: reject invalid requests with 400 and check JSON responses
+   */
+  middleware() {
+    return (req, res, next) => {
+      const match = this.matchPath(req.path);
+      const operation = match && this.spec.paths[match.template][req.method.toLowerCase()];
+      if (!operation) return next();
+
+      const { query, errors } = this.validateRequest(operation, req, match.params);
+      if (errors.length > 0) {
+        this.stats.requestErrors++;
+        return res.status(400).json({ error: `Invalid request: ${errors.join('; ')}`, details: errors });
+      }
+      Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true, enumerable: true });
+
+      if (this.responseMode !== 'off') {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          const responseErrors = this.validateResponse(operation, res.statusCode, body);
+          if (responseErrors.length > 0) {
+            this.stats.responseErrors++;
+            log.warn(`Response for ${req.method} ${req.path} does not match the OpenAPI spec`, { status: res.statusCode, errors: responseErrors });
+            if (this.responseMode === 'strict') {
+              res.status(500);
+              return json({ error: 'Response failed schema validation', details: responseErrors });
+            }
+          }
+          return json(body);
+        };
+      }
+      next();
+    };
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * @file ScoringStrategies.js
+ * Registry of named formulas that turn a Google Trends timeline into a popularity score.
+ * Every strategy receives the raw timeline values (0-100) plus shared summary stats,
+ * so alternatives can be evaluated on the same timelines.
+ */
+
+export const DEFAULT_SCORING_METHOD = 'preciseWeighted';
+
+// Number of trailing points treated as the "recent" trend
+const RECENT_WINDOW = 30;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Summary stats shared by all strategies (and returned alongside the score)
+ * @param {Array<number>} values - Timeline values
+ * @returns {{ sum: number, avgScore: number, maxScore: number, recentAvg: number }}
+ */
+export function timelineStats(values) {
+  const sum = values.reduce((a, b) => a + b, 0);
+  const avgScore = values.length > 0 ? sum / values.length : 0;
+  const maxScore = values.length > 0 ? Math.max(...values) : 0;
+  const recentValues = values.slice(-RECENT_WINDOW);
+  const recentAvg = recentValues.length > 0 ? mean(recentValues) : avgScore;
+  return { sum, avgScore, maxScore, recentAvg };
+}
+
+export const SCORING_STRATEGIES = {
+  preciseWeighted: {
+    description: 'Weighted blend: 85% average, 10% peak, 5% recent trend',
+    score: (values, stats) => (
+      stats.avgScore * 0.85 +    // 85% weight on average
+      stats.maxScore * 0.10 +    // 10% weight on peak
+      stats.recentAvg * 0.05     // 5% weight on recent trend
+    ),
+  },
+  mean: {
+    description: 'Plain average of the timeline',
+    score: (values, stats) => stats.avgScore,
+  },
+  median: {
+    description: 'Median of the timeline (ignores one-off spikes and dips)',
+    score: (values) => median(values),
+  },
+  recencyDecayed: {
+    description: 'Exponentially decayed average, half-life of 13 points (~1 quarter of weekly data)',
+    score: (values) => {
+      const halfLife = 13;
+      let weighted = 0;
+      let totalWeight = 0;
+      values.forEach((v, i) => {
+        const age = values.length - 1 - i;
+        const weight = Math.pow(0.5, age / halfLife);
+        weighted += v * weight;
+        totalWeight += weight;
+      });
+      return totalWeight > 0 ? weighted / totalWeight : 0;
+    },
+  },
+  trimmedMean: {
+    description: 'Peak-robust mean with the top and bottom 10% of points removed',
+    score: (values) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      const trim = Math.floor(sorted.length * 0.1);
+      const kept = sorted.slice(trim, sorted.length - trim);
+      return mean(kept.length > 0 ? kept : sorted);
+    },
+  },
+};
+
+/**
+ * @param {string} method
+ * @returns {boolean}
+ */
+export function isValidScoringMethod(method) {
+  return Object.prototype.hasOwnProperty.call(SCORING_STRATEGIES, method);
+}
+
+/**
+ * List available strategies
+ * @returns {Array<{ name: string, description: string, default: boolean }>}
+ */
+export function listScoringMethods() {
+  return Object.entries(SCORING_STRATEGIES).map(([name, strategy]) => ({
+    name,
+    description: strategy.description,
+    default: name === DEFAULT_SCORING_METHOD
+  }));
+}
+
+/**
+ * Score a timeline with a named strategy
+ * @param {Array<number>} values - Timeline values (0-100)
+ * @param {string} method - Strategy name (defaults to preciseWeighted)
+ * @returns {{ score: number, avgScore: number, maxScore: number, recentAvg: number, sum: number, method: string }}
+ */
+export function scoreTimeline(values, method = DEFAULT_SCORING_METHOD) {
+  if (!isValidScoringMethod(method)) {
+    throw new Error(`Unknown scoring method "${method}"`);
+  }
+  const stats = timelineStats(values);
+  const score = SCORING_STRATEGIES[method].score(values, stats);
+  return {
+    score: Number(score.toFixed(2)),
+    avgScore: Number(stats.avgScore.toFixed(2)),
+    maxScore: stats.maxScore,
+    recentAvg: Number(stats.recentAvg.toFixed(2)),
+    sum: stats.sum,
+    method
+  };
+}
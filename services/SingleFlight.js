@@ -0,0 +1,48 @@
+/**
+ * @file SingleFlight.js
+ * In-flight request coalescing: concurrent calls for the same key share one
+ * pending promise instead of each issuing its own upstream request.
+ * The key is released as soon as the call settles, so later calls go through
+ * the normal cache path again.
+ */
+
+export class SingleFlight {
+  constructor() {
+    this.pending = new Map(); // key -> Promise
+    this.stats = { calls: 0, coalesced: 0 };
+  }
+
+  /**
+   * Run `fn` for a key, or join the call already in flight for it
+   * @param {string} key
+   * @param {Function} fn - () => Promise
+   * @returns {Promise}
+   */
+  do(key, fn) {
+    this.stats.calls++;
+    const inFlight = this.pending.get(key);
+    if (inFlight) {
+      this.stats.coalesced++;
+      return inFlight;
+    }
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        this.pending.delete(key);
+      });
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  has(key) {
+    return this.pending.has(key);
+  }
+
+  get size() {
+    return this.pending.size;
+  }
+
+  getStats() {
+    return { inFlight: this.pending.size, ...this.stats };
+  }
+}
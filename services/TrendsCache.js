@@ -0,0 +1,228 @@
+/**
+ * @file TrendsCache.js
+ * Durable trends cache keyed by pokemon/country/timeframe.
+ * Entries live in memory (LRU order) and are flushed to a JSON file so that
+ * rate-limited Google fetches survive restarts and redeploys.
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('cache');
+
+export class TrendsCache {
+  /**
+   * @param {Object} options - { filePath, ttlMs, maxEntries, flushDelayMs }
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000; // 24 hours
+    this.maxEntries = options.maxEntries || 10000;
+    this.flushDelayMs = options.flushDelayMs ?? 5000;
+    this.entries = new Map(); // key -> { data, timestamp }, oldest access first
+    this.flushTimer = null;
+    this.stats = { hits: 0, misses: 0, staleHits: 0, evictions: 0, expired: 0, lastFlush: null, lastLoad: null };
+  }
+
+  /**
+   * Build a cache key
+   * @param {string} pokemonName
+   * @param {string} countryCode
+   * @param {string} timeframe - Time window of the underlying timeline
+   * @returns {string} e.g. "pikachu_US_12m"
+   */
+  static key(pokemonName, countryCode, timeframe = '12m') {
+    return `${String(pokemonName).toLowerCase()}_${String(countryCode).toUpperCase()}_${timeframe}`;
+  }
+
+  /**
+   * Load persisted entries from disk, dropping expired ones
+   */
+  async load() {
+    try {
+      const raw = await fsp.readFile(this.filePath, 'utf8');
+      const obj = JSON.parse(raw);
+      const now = Date.now();
+      const loaded = (obj?.entries || [])
+        .filter(([, entry]) => entry && now - entry.timestamp < this.ttlMs)
+        .sort((a, b) => (a[1].lastAccess || a[1].timestamp) - (b[1].lastAccess || b[1].timestamp));
+      for (const [key, entry] of loaded) {
+        this.entries.set(key, entry);
+      }
+      this.evictOverflow();
+      this.stats.lastLoad = new Date().toISOString();
+      log.info(`Loaded ${this.entries.size} trends cache entries from ${this.filePath}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log.warn('Failed to load trends cache', { error: err });
+      }
+    }
+  }
+
+  /**
+   * Get a cached value, or null when missing or expired
+   * @param {string} key
+   * @param {Object} options - { allowStale: return expired entries too (e.g. while upstream is unavailable) }
+   * @returns {Object|null}
+   */
+  get(key, options = {}) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+    if (Date.now() - entry.timestamp >= this.ttlMs && options.allowStale) {
+      this.stats.staleHits++;
+      return entry.data;
+    }
+    if (Date.now() - entry.timestamp >= this.ttlMs) {
+      this.entries.delete(key);
+      this.stats.expired++;
+      this.stats.misses++;
+      this.scheduleFlush();
+      return null;
+    }
+    // Move to the most-recently-used end
+    entry.lastAccess = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.data;
+  }
+
+  /**
+   * Store a value and persist it (debounced)
+   * @param {string} key
+   * @param {Object} data
+   */
+  set(key, data) {
+    const now = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, { data, timestamp: now, lastAccess: now });
+    this.evictOverflow();
+    this.scheduleFlush();
+  }
+
+  /**
+   * Whether a live (unexpired) entry exists, without touching LRU order or stats
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+    return !!entry && Date.now() - entry.timestamp < this.ttlMs;
+  }
+
+  delete(key) {
+    const deleted = this.entries.delete(key);
+    if (deleted) this.scheduleFlush();
+    return deleted;
+  }
+
+  /**
+   * Delete all entries whose key matches the predicate
+   * @param {Function} predicate - (key) => boolean
+   * @returns {number} Number of entries removed
+   */
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const key of Array.from(this.entries.keys())) {
+      if (predicate(key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) this.scheduleFlush();
+    return removed;
+  }
+
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.scheduleFlush();
+    return removed;
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Drop least-recently-used entries beyond maxEntries
+   */
+  evictOverflow() {
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {number} Number of entries removed
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of Array.from(this.entries.entries())) {
+      if (now - entry.timestamp >= this.ttlMs) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    this.stats.expired += removed;
+    return removed;
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(() => {});
+    }, this.flushDelayMs);
+    // Don't keep the process alive just to flush the cache
+    if (typeof this.flushTimer.unref === 'function') this.flushTimer.unref();
+  }
+
+  /**
+   * Write all live entries to disk (atomic write)
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    try {
+      this.prune();
+      const obj = { savedAt: new Date().toISOString(), entries: Array.from(this.entries.entries()) };
+      const tmp = this.filePath + '.tmp';
+      await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fsp.writeFile(tmp, JSON.stringify(obj), 'utf8');
+      await fsp.rename(tmp, this.filePath);
+      this.stats.lastFlush = new Date().toISOString();
+    } catch (err) {
+      log.warn('Failed to save trends cache', { error: err });
+    }
+  }
+
+  /**
+   * Cache statistics for monitoring
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      filePath: this.filePath,
+      hitRatio: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : null,
+      ...this.stats
+    };
+  }
+}
@@ -0,0 +1,591 @@
+/**
+ * @file TrendsClient.js
+ * In-process Google Trends client: topic ID lookups, interest over time,
+ * related queries/topics and interest by region. Every upstream call goes
+ * through one rate limiter and the shared circuit breaker; results are cached
+ * (TrendsCache) and identical concurrent lookups share one request.
+ * Failed lookups resolve to fallback results rather than throwing.
+ */
+
+import Bottleneck from 'bottleneck';
+import fsp from 'fs/promises';
+import path from 'path';
+import { TrendsCache } from './TrendsCache.js';
+import { SingleFlight } from './SingleFlight.js';
+import { CircuitBreaker, CircuitOpenError } from './CircuitBreaker.js';
+import { classifyUpstreamOutcome } from './ProxyPool.js';
+import { DEFAULT_TIMEFRAME, getTimeframeStartTime } from './timeframes.js';
+import { DEFAULT_SCORING_METHOD } from './ScoringStrategies.js';
+import { DEFAULT_MAX_ESTIMATED_SEARCHES, applyScoring, buildTrendsFallback } from './scoring.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('trends');
+
+/**
+ * Detect likely-HTML responses (Google anti-bot block pages)
+ */
+function isProbablyHTML(text) {
+  if (!text || typeof text !== 'string') return false;
+  const t = text.trim().toLowerCase();
+  return t.startsWith('<') || t.startsWith('<!doctype') || t.includes('<html');
+}
+
+/**
+ * Map a relatedQueries/relatedTopics ranked list to { top, rising }
+ * @param {Object} data - Parsed response
+ * @param {Function} mapItem - Maps one rankedKeyword item
+ */
+function parseRankedLists(data, mapItem) {
+  const [top, rising] = data?.default?.rankedList || [];
+  return {
+    top: (top?.rankedKeyword || []).map(mapItem),
+    rising: (rising?.rankedKeyword || []).map(mapItem)
+  };
+}
+
+export class TrendsClient {
+  /**
+   * @param {Object} options
+   *   provider: trends provider (see TrendsProviderFactory.js)
+   *   cache: TrendsCache for trends/related/region results
+   *   circuitBreaker: shared upstream CircuitBreaker
+   *   dataDir: directory for topic_cache.json (topic IDs are not persisted without it)
+   *   minTimeMs, cooldownMs, htmlCooldownMs, maxEstimatedSearches: see the `trends` config section
+   *   latency: optional histogram (MetricsRegistry) timing each provider call
+   */
+  constructor(options = {}) {
+    this.provider = options.provider;
+    this.cache = options.cache || new TrendsCache();
+    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker({ name: 'google-trends' });
+    this.topicCacheFile = options.dataDir ? path.join(options.dataDir, 'topic_cache.json') : null;
+    this.minTimeMs = options.minTimeMs ?? 20000;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.htmlCooldownMs = options.htmlCooldownMs ?? 60000;
+    this.maxEstimatedSearches = options.maxEstimatedSearches ?? DEFAULT_MAX_ESTIMATED_SEARCHES;
+    this.latency = options.latency || null;
+
+    // Cache for topic (mid) lookups — topic IDs are stable so cache permanently
+    this.topicIdCache = new Map();
+    // Coalesce concurrent identical upstream lookups (trends, regions, related, topic IDs) into one request
+    this.inFlight = new SingleFlight();
+    // Space requests and keep concurrency low
+    this.limiter = new Bottleneck({ minTime: this.minTimeMs, maxConcurrent: 1 });
+    // Simple runtime metrics for monitoring request outcomes
+    this.metrics = {
+      totalRequests: 0,
+      success: 0,
+      fallback: 0,
+      rateLimit429: 0,
+      blockedHTML: 0,
+      queueRejected: 0,
+    };
+  }
+
+  /**
+   * Load the trends cache and the persisted topic IDs
+   */
+  async load() {
+    await Promise.all([
+      this.loadTopicCache(),
+      this.cache.load().catch(() => {})
+    ]);
+  }
+
+  async loadTopicCache() {
+    if (!this.topicCacheFile) return;
+    try {
+      const raw = await fsp.readFile(this.topicCacheFile, 'utf8');
+      for (const [k, v] of Object.entries(JSON.parse(raw) || {})) {
+        this.topicIdCache.set(k, v);
+      }
+      log.info(`Loaded ${this.topicIdCache.size} topicId entries from ${this.topicCacheFile}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log.warn('Failed to load topic cache', { error: err });
+      }
+    }
+  }
+
+  async saveTopicCache() {
+    if (!this.topicCacheFile) return;
+    try {
+      const obj = Object.fromEntries(this.topicIdCache.entries());
+      const tmp = this.topicCacheFile + '.tmp';
+      await fsp.mkdir(path.dirname(this.topicCacheFile), { recursive: true });
+      await fsp.writeFile(tmp, JSON.stringify(obj), 'utf8');
+      await fsp.rename(tmp, this.topicCacheFile);
+    } catch (err) {
+      log.warn('Failed to save topic cache', { error: err });
+    }
+  }
+
+  /**
+   * Jobs waiting for the upstream limiter (received or queued)
+   */
+  queueLength() {
+    const counts = this.limiter.counts();
+    return counts.RECEIVED + counts.QUEUED;
+  }
+
+  /**
+   * Get topic ID (mid) for a given Pokémon name using autoComplete.
+   * Caches results (including null) permanently in `topicIdCache`.
+   * @param {string} pokemonName
+   * @returns {Promise<string|null>} topic mid like '/m/0dl567' or null if not found
+   */
+  async getTopicId(pokemonName) {
+    if (!pokemonName) return null;
+    const key = String(pokemonName).toLowerCase();
+    if (this.topicIdCache.has(key)) return this.topicIdCache.get(key);
+    return this.inFlight.do(`topic:${key}`, () => this.resolveTopicId(pokemonName));
+  }
+
+  /**
+   * Look up a topic ID via autoComplete and store it in `topicIdCache` (cache miss path of getTopicId)
+   * @param {string} pokemonName
+   * @returns {Promise<string|null>}
+   */
+  async resolveTopicId(pokemonName) {
+    const key = String(pokemonName).toLowerCase();
+    if (this.circuitBreaker.isOpen()) return null; // not cached: retried once the breaker closes
+    const maxAttempts = 2;
+    const baseDelay = 150;
+    let lastErr = null;
+    let parsed = null;
+
+    // Try autoComplete with "<name> pokemon" first, then fallback to bare name.
+    const queries = [`${pokemonName} pokemon`, pokemonName];
+    for (const q of queries) {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+          const raw = await this.callUpstream('autoComplete', { keyword: q });
+          if (!raw) {
+            lastErr = new Error('Empty autoComplete response');
+            throw lastErr;
+          }
+          parsed = JSON.parse(raw);
+          break;
+        } catch (err) {
+          lastErr = err;
+          if (err instanceof CircuitOpenError) break;
+          const outcome = classifyUpstreamOutcome(err);
+          if (outcome === 'rate_limited') this.metrics.rateLimit429++;
+          else if (outcome === 'blocked_html') this.metrics.blockedHTML++;
+          if (attempt < maxAttempts) {
+            const jitter = Math.random() * 200;
+            const delay = baseDelay * Math.pow(2, attempt - 1) + jitter;
+            await new Promise(r => setTimeout(r, delay));
+          }
+        }
+      }
+      if (parsed) break; // stop trying other query if we got a parse
+    }
+
+    // If we never parsed a valid response, don't cache null permanently (transient)
+    if (!parsed) {
+      log.warn('getTopicId failed', { pokemonName, error: lastErr });
+      return null;
+    }
+
+    const suggestions = parsed?.default?.topics || [];
+
+    const pokemonTopic = suggestions.find(topic => {
+      if (!topic || !topic.title) return false;
+      const title = String(topic.title).toLowerCase();
+      const ttype = String(topic.type || '').toLowerCase();
+      return title === key && (ttype.includes('pok') || ttype.includes('video') || ttype === 'topic');
+    }) || suggestions.find(topic => String(topic.title || '').toLowerCase() === key);
+
+    // A missing topic is cached too, to avoid repeated lookups
+    const topicId = pokemonTopic?.mid || null;
+    this.topicIdCache.set(key, topicId);
+    this.saveTopicCache().catch(() => {});
+    if (topicId) log.debug(`   Found topic: ${pokemonTopic.title} - ${topicId}`, { pokemonName, topicId });
+    return topicId;
+  }
+
+  /**
+   * Read the trends cache. While the upstream breaker is open, expired entries are
+   * served as well (flagged `stale`) since a fresh fetch is not possible.
+   * @param {string} cacheKey
+   * @returns {{ data: Object, stale: boolean }|null}
+   */
+  readCache(cacheKey) {
+    const allowStale = this.circuitBreaker.isOpen();
+    const fresh = allowStale && this.cache.has(cacheKey);
+    const data = this.cache.get(cacheKey, { allowStale });
+    return data ? { data, stale: allowStale && !fresh } : null;
+  }
+
+  /**
+   * Make one upstream provider call through the rate limiter and the circuit breaker.
+   * Fails fast with CircuitOpenError (without queueing) while the breaker is open.
+   * @param {string} method - Provider method (interestOverTime, autoComplete, ...)
+   * @param {Object} request - Provider call options
+   * @returns {Promise<string>} Raw response body
+   */
+  async callUpstream(method, request) {
+    const breaker = this.circuitBreaker;
+    if (breaker.isOpen()) {
+      breaker.stats.rejected++;
+      throw new CircuitOpenError(breaker);
+    }
+    return this.limiter.schedule(async () => {
+      // Re-checked at execution time: the breaker may have opened while this job was queued
+      breaker.acquire();
+      let outcome = 'error';
+      try {
+        const call = () => this.provider[method](request);
+        const raw = this.latency
+          ? await this.latency.time((err, result) => ({ method, outcome: classifyUpstreamOutcome(err, result) }), call)
+          : await call();
+        outcome = classifyUpstreamOutcome(null, raw);
+        return raw;
+      } catch (err) {
+        outcome = classifyUpstreamOutcome(err);
+        throw err;
+      } finally {
+        breaker.record(outcome);
+      }
+    });
+  }
+
+  /**
+   * Call an upstream trends provider method with retries and HTML detection
+   * @param {string} method - Provider method (interestOverTime, interestByRegion, ...)
+   * @param {Object} request - Provider call options
+   * @param {string} label - Name used in log messages
+   * @returns {Promise<Object>} Parsed response
+   */
+  async callWithRetry(method, request, label) {
+    const maxAttempts = 4;
+    const baseDelay = 1000; // ms
+    let lastError = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const results = await this.callUpstream(method, request);
+
+        if (isProbablyHTML(results)) {
+          this.metrics.blockedHTML++;
+          const snippet = results.slice(0, 300).replace(/\n/g, ' ');
+          throw new Error(`Non-JSON response from Google Trends (HTML/snippet): ${snippet}`);
+        }
+
+        const parsed = JSON.parse(results);
+        this.metrics.success++;
+        return parsed;
+      } catch (err) {
+        lastError = err;
+        if (err instanceof CircuitOpenError) throw err;
+        const msg = (err && err.message) ? String(err.message).toLowerCase() : '';
+        const outcome = classifyUpstreamOutcome(err);
+        if (outcome === 'rate_limited') {
+          this.metrics.rateLimit429++;
+          // This failure opened the breaker: no point cooling down for a retry that would be refused
+          if (this.circuitBreaker.isOpen()) break;
+          log.warn(`Rate limit detected for ${label}. Pausing longer before retry.`, { method, attempt });
+          // longer cooldown on explicit 429s
+          await new Promise(r => setTimeout(r, this.cooldownMs + Math.random() * 5000));
+        } else if (outcome === 'blocked_html' || msg.includes('non-json') || msg.includes('html') || msg.includes('<!doctype')) {
+          this.metrics.blockedHTML++;
+          if (this.circuitBreaker.isOpen()) break;
+          log.warn(`Blocked HTML response detected for ${label}. Cooling down before retry.`, { method, attempt });
+          await new Promise(r => setTimeout(r, this.htmlCooldownMs + Math.random() * 5000));
+        } else {
+          log.warn(`Attempt ${attempt} ${method} failed for ${label}`, { method, attempt, keyword: request.keyword, error: err });
+          if (attempt < maxAttempts) {
+            const backoff = Math.pow(2, attempt) * baseDelay;
+            const jitter = Math.random() * 1000;
+            await new Promise(r => setTimeout(r, backoff + jitter));
+          }
+        }
+      }
+    }
+    throw lastError || new Error('Failed to fetch/parse trends data');
+  }
+
+  /**
+   * Fetch interestOverTime with retries and HTML detection
+   * @param {string|Array<string>} term - Topic ID / keyword, or several terms to compare in one request
+   * @param {string} countryCode - Country code (e.g., 'US', 'JP')
+   * @param {string} label - Name used in log messages
+   * @param {string} timeframe - Time window (see services/timeframes.js)
+   * @returns {Promise<Object>} Parsed interestOverTime response
+   */
+  async fetchInterest(term, countryCode, label = String(term), timeframe = DEFAULT_TIMEFRAME) {
+    return this.callWithRetry('interestOverTime', {
+      keyword: term,
+      geo: countryCode,
+      startTime: getTimeframeStartTime(timeframe),
+    }, `${label} (${countryCode})`);
+  }
+
+  relatedCacheKey(pokemonName, countryCode, timeframe = DEFAULT_TIMEFRAME) {
+    return `${TrendsCache.key(pokemonName, countryCode, timeframe)}_related`;
+  }
+
+  /**
+   * Apply region request defaults and build its cache key
+   * @param {string} pokemonName
+   * @param {Object} options - { countryCode, resolution, timeframe }
+   * @returns {{ geo: string, resolution: string, timeframe: string, cacheKey: string }}
+   */
+  resolveRegionRequest(pokemonName, options = {}) {
+    const geo = options.countryCode ? String(options.countryCode).toUpperCase() : 'WORLD';
+    const resolution = (options.resolution || (geo === 'WORLD' ? 'COUNTRY' : 'REGION')).toUpperCase();
+    const timeframe = options.timeframe || DEFAULT_TIMEFRAME;
+    return { geo, resolution, timeframe, cacheKey: `${TrendsCache.key(pokemonName, geo, timeframe)}_regions_${resolution}` };
+  }
+
+  /**
+   * Fetch Google Trends data for a given Pokémon name and country
+   * @param {string} pokemonName - Name of the Pokémon
+   * @param {string} countryCode - Country code (e.g., 'US', 'JP')
+   * @param {number} pokemonId - Pokémon ID (optional, used for generation-based ceiling)
+   * @param {string} timeframe - Time window (7d, 90d, 12m, 5y, all)
+   * @param {string} method - Scoring strategy (see services/ScoringStrategies.js)
+   * @returns {Promise<Object>} Trends data, or a fallback result on failure
+   */
+  async fetchTrends(pokemonName, countryCode, pokemonId = null, timeframe = DEFAULT_TIMEFRAME, method = DEFAULT_SCORING_METHOD) {
+    const cacheKey = TrendsCache.key(pokemonName, countryCode, timeframe);
+    const cached = this.readCache(cacheKey);
+
+    // Return cached data if valid (re-scored, so any method can reuse the same raw timeline)
+    if (cached) {
+      log.debug('📦 Cache hit: trends', { pokemonName, countryCode, timeframe });
+      return { ...this.score(cached.data, method, pokemonId), cached: true, ...(cached.stale ? { stale: true } : {}) };
+    }
+
+    // Concurrent callers share one upstream fetch and each re-score it with their own method
+    const result = await this.inFlight.do(cacheKey, () => this.fetchTrendsFromUpstream(pokemonName, countryCode, pokemonId, timeframe, method, cacheKey));
+    return this.score(result, method, pokemonId);
+  }
+
+  score(result, method, pokemonId) {
+    return applyScoring(result, method, pokemonId, this.maxEstimatedSearches);
+  }
+
+  /**
+   * Fetch a timeline from Google Trends, score it and cache it (cache miss path of fetchTrends)
+   * @returns {Promise<Object>} Trends data, or a fallback result on failure
+   */
+  async fetchTrendsFromUpstream(pokemonName, countryCode, pokemonId, timeframe, method, cacheKey) {
+    this.metrics.totalRequests++;
+    try {
+      log.info('🌐 Fetching trends', { pokemonName, countryCode, timeframe });
+      // Try to resolve a Knowledge Graph topic ID (mid). If found, we'll use it
+      let topicId = null;
+      try {
+        topicId = await this.getTopicId(pokemonName);
+      } catch (err) {
+        topicId = null; // continue with keyword fallback
+      }
+
+      // Use topicId when available, otherwise fallback to keyword
+      const searchTerm = topicId || `${pokemonName} pokemon`;
+      log.debug(`   Using: ${topicId ? `Topic ID ${topicId}` : `Keyword "${searchTerm}"`}`, { pokemonName, topicId });
+
+      let data = await this.fetchInterest(searchTerm, countryCode, pokemonName, timeframe);
+
+      // If we used a topicId but got an empty timeline or no useful data, retry once with keyword fallback
+      const timelineCheck = (d) => Array.isArray(d?.default?.timelineData) && d.default.timelineData.length > 0;
+      if (topicId && !timelineCheck(data)) {
+        log.warn('Topic-based query returned no timeline; retrying with keyword fallback', { pokemonName, countryCode, timeframe, topicId });
+        try {
+          data = await this.fetchInterest(`${pokemonName} pokemon`, countryCode, pokemonName, timeframe);
+          // mark that we fell back to keyword
+          topicId = null;
+        } catch (err) {
+          // keep original data (even if empty) and continue to error handling below
+          log.warn('Keyword fallback also failed', { pokemonName, countryCode, timeframe, error: err });
+        }
+      }
+
+      // Calculate metrics from timeline
+      const timeline = data.default?.timelineData || [];
+      const values = timeline.map(d => d.value[0]);
+
+      if (values.length === 0) {
+        this.metrics.fallback++;
+        return buildTrendsFallback(pokemonName, countryCode, pokemonId, timeframe, {
+          rawData: data,
+          usedTopic: !!topicId,
+          topicId: topicId || null
+        }, this.maxEstimatedSearches);
+      }
+
+      const result = this.score({
+        pokemonName,
+        countryCode,
+        timeframe,
+        timelineValues: values,
+        rawData: data,
+        usedTopic: !!topicId,
+        topicId: topicId || null,
+        cached: false
+      }, method, pokemonId);
+
+      this.cache.set(cacheKey, result);
+
+      log.info(`✅ ${pokemonName}: score=${result.score} (${method}) ${result.usedTopic ? '(Entity)' : '(Keyword)'}`, { pokemonName, countryCode, timeframe });
+      return result;
+    } catch (error) {
+      // Error messages include a short snippet for anti-bot HTML pages
+      log.error('❌ Error fetching trends, using fallback score', { pokemonName, countryCode, timeframe, error });
+
+      // Return fallback score but keep the API shape
+      this.metrics.fallback++;
+      return buildTrendsFallback(pokemonName, countryCode, pokemonId, timeframe, {
+        error: (error && error.message) || String(error)
+      }, this.maxEstimatedSearches);
+    }
+  }
+
+  /**
+   * Fetch related queries and related topics (top and rising) for a Pokémon
+   * @param {string} pokemonName - Name of the Pokémon
+   * @param {string} countryCode - Country code (e.g., 'US', 'JP')
+   * @param {string} timeframe - Time window (see services/timeframes.js)
+   * @returns {Promise<Object>} - { pokemonName, countryCode, timeframe, queries: { top, rising }, topics: { top, rising }, ... }
+   */
+  async fetchRelated(pokemonName, countryCode, timeframe = DEFAULT_TIMEFRAME) {
+    const cacheKey = this.relatedCacheKey(pokemonName, countryCode, timeframe);
+
+    const cached = this.readCache(cacheKey);
+    if (cached) {
+      log.debug('📦 Cache hit: related', { pokemonName, countryCode, timeframe });
+      return { fallback: false, ...cached.data, cached: true, ...(cached.stale ? { stale: true } : {}) };
+    }
+    return this.inFlight.do(cacheKey, () => this.fetchRelatedFromUpstream(pokemonName, countryCode, timeframe, cacheKey));
+  }
+
+  async fetchRelatedFromUpstream(pokemonName, countryCode, timeframe, cacheKey) {
+    this.metrics.totalRequests++;
+    try {
+      log.info('🌐 Fetching related', { pokemonName, countryCode, timeframe });
+      const topicId = await this.getTopicId(pokemonName);
+      const searchTerm = topicId || `${pokemonName} pokemon`;
+      const request = { keyword: searchTerm, geo: countryCode, startTime: getTimeframeStartTime(timeframe) };
+
+      const queriesData = await this.callWithRetry('relatedQueries', request, `${pokemonName} related queries (${countryCode})`);
+      const topicsData = await this.callWithRetry('relatedTopics', request, `${pokemonName} related topics (${countryCode})`);
+
+      const result = {
+        pokemonName,
+        countryCode,
+        timeframe,
+        queries: parseRankedLists(queriesData, item => ({
+          query: item.query,
+          value: item.value,
+          formattedValue: item.formattedValue
+        })),
+        topics: parseRankedLists(topicsData, item => ({
+          mid: item.topic?.mid || null,
+          title: item.topic?.title || null,
+          type: item.topic?.type || null,
+          value: item.value,
+          formattedValue: item.formattedValue
+        })),
+        usedTopic: !!topicId,
+        topicId: topicId || null,
+        cached: false,
+        fallback: false
+      };
+
+      this.cache.set(cacheKey, result);
+      log.info(`✅ ${pokemonName}: ${result.queries.rising.length} rising queries, ${result.topics.rising.length} rising topics`, { pokemonName, countryCode, timeframe });
+      return result;
+    } catch (error) {
+      log.error('❌ Error fetching related data', { pokemonName, countryCode, timeframe, error });
+      this.metrics.fallback++;
+      return {
+        pokemonName,
+        countryCode,
+        timeframe,
+        queries: { top: [], rising: [] },
+        topics: { top: [], rising: [] },
+        usedTopic: false,
+        topicId: null,
+        cached: false,
+        error: (error && error.message) || String(error),
+        fallback: true
+      };
+    }
+  }
+
+  /**
+   * Fetch the interest-by-region breakdown for a Pokémon.
+   * Without a country code the breakdown is worldwide (per country); with one it is per subregion.
+   * @param {string} pokemonName - Name of the Pokémon
+   * @param {Object} options - { countryCode, resolution, timeframe }
+   * @returns {Promise<Object>} - { pokemonName, geo, resolution, timeframe, regions: [{ geoCode, geoName, value }], ... }
+   */
+  async fetchRegions(pokemonName, options = {}) {
+    const { geo, resolution, timeframe, cacheKey } = this.resolveRegionRequest(pokemonName, options);
+
+    const cached = this.readCache(cacheKey);
+    if (cached) {
+      log.debug('📦 Cache hit: regions', { pokemonName, geo, resolution, timeframe });
+      return { fallback: false, ...cached.data, cached: true, ...(cached.stale ? { stale: true } : {}) };
+    }
+    return this.inFlight.do(cacheKey, () => this.fetchRegionsFromUpstream(pokemonName, { geo, resolution, timeframe, cacheKey }));
+  }
+
+  async fetchRegionsFromUpstream(pokemonName, { geo, resolution, timeframe, cacheKey }) {
+    this.metrics.totalRequests++;
+    try {
+      log.info('🌐 Fetching regions', { pokemonName, geo, resolution, timeframe });
+      const topicId = await this.getTopicId(pokemonName);
+      const searchTerm = topicId || `${pokemonName} pokemon`;
+
+      const data = await this.callWithRetry('interestByRegion', {
+        keyword: searchTerm,
+        ...(geo !== 'WORLD' ? { geo } : {}),
+        resolution,
+        startTime: getTimeframeStartTime(timeframe),
+      }, `${pokemonName} regions (${geo})`);
+
+      const regions = (data.default?.geoMapData || [])
+        .map(r => ({
+          geoCode: r.geoCode || null,
+          geoName: r.geoName,
+          value: Array.isArray(r.value) ? r.value[0] : Number(r.value) || 0
+        }))
+        .filter(r => r.value > 0)
+        .sort((a, b) => b.value - a.value);
+
+      const result = {
+        pokemonName,
+        geo,
+        resolution,
+        timeframe,
+        regions,
+        topRegion: regions[0] || null,
+        usedTopic: !!topicId,
+        topicId: topicId || null,
+        cached: false,
+        fallback: false
+      };
+
+      this.cache.set(cacheKey, result);
+      log.info(`✅ ${pokemonName}: ${regions.length} regions, top=${result.topRegion ? result.topRegion.geoName : 'none'}`, { pokemonName, geo, resolution, timeframe });
+      return result;
+    } catch (error) {
+      log.error('❌ Error fetching regions', { pokemonName, geo, resolution, timeframe, error });
+      this.metrics.fallback++;
+      return {
+        pokemonName,
+        geo,
+        resolution,
+        timeframe,
+        regions: [],
+        topRegion: null,
+        usedTopic: false,
+        topicId: null,
+        cached: false,
+        error: (error && error.message) || String(error),
+        fallback: true
+      };
+    }
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * @file TrendsDataStore.js
+ * In-memory copy of the harvested trends data file (data/pokemon_trends.json).
+ * The harvest, the continuous refresh and the /data/trends route share one
+ * store, so they see each other's updates instead of overwriting the file
+ * with their own stale copies. Writes are atomic (tmp file + rename) and
+ * serialized.
+ *
+ * `version` (an ISO timestamp) moves forward on every save; /data/trends uses it
+ * as the ETag and as the `?since=` cursor for delta responses, which are built
+ * from the per-entry `lastFetched` / `normalizedAt` times.
+ *
+ * Each country is also served on its own (/data/trends/:country). A shard's version
+ * is the latest change time of its entries, so it only moves when that country changes.
+ *
+ * Files are upgraded to the current `schemaVersion` on load (see dataSchema.js) and
+ * checked against the schema. A file written by newer code is served but never saved;
+ * a file a migration fails on is not loaded at all (load() throws), so it is never
+ * replaced by an empty one.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { DEFAULT_TIMEFRAME } from './timeframes.js';
+import { SCHEMA_VERSION, getSchemaVersion, migrateData, validateData } from './dataSchema.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('datastore');
+
+/**
+ * Change times of an entry: lastFetched, normalizedAt and those of its other time windows
+ */
+function entryTimes(entry) {
+  return [
+    entry.lastFetched,
+    entry.normalizedAt,
+    ...Object.values(entry.timeframes || {}).map(window => window?.lastFetched)
+  ].filter(Boolean);
+}
+
+function latestTime(entry) {
+  return entryTimes(entry).reduce((latest, time) => (time > latest ? time : latest), '');
+}
+
+export class TrendsDataStore {
+  /**
+   * @param {string} filePath - Trends data file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+    this.saving = Promise.resolve();
+    this.schema = null; // { schemaVersion, migratedFrom, migrations, errors, readOnly } of the last load
+    this.load();
+  }
+
+  /**
+   * Empty data file layout
+   */
+  static createEmptyData() {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      version: new Date().toISOString(),
+      lastUpdate: new Date().toISOString(),
+      countries: {},
+      topicIds: {}, // pokemonName -> topicId (shared across countries)
+      regions: {}, // timeframe -> pokemonName -> worldwide per-country breakdown
+      metadata: {
+        totalPokemon: 0,
+        successRate: 0,
+        lastHarvest: null,
+        defaultTimeframe: DEFAULT_TIMEFRAME, // window stored at the top level of each entry
+        timeframes: {} // timeframe -> { lastHarvest }
+      }
+    };
+  }
+
+  /**
+   * (Re)load the data file from disk; a missing or unreadable file starts empty
+   * @throws {Error} When a migration fails on the file
+   */
+  load() {
+    this.schema = { schemaVersion: SCHEMA_VERSION, migratedFrom: null, migrations: [], errors: [], readOnly: false };
+    if (!fs.existsSync(this.filePath)) {
+      this.data = TrendsDataStore.createEmptyData();
+      log.info('📦 No existing trends data, starting fresh.');
+      return this.data;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (err) {
+      log.warn('Failed to load existing trends data', { error: err });
+      this.data = TrendsDataStore.createEmptyData();
+      return this.data;
+    }
+    this.data = this.upgrade(parsed);
+    log.info(`📦 Loaded trends data: ${this.data?.metadata?.totalPokemon || 0} Pokémon, success rate ${this.data?.metadata?.successRate || 0}%`);
+    return this.data;
+  }
+
+  /**
+   * Migrate a parsed file to the current schema and validate it; validation problems are logged, not thrown
+   * @returns {Object} The (upgraded) data
+   * @throws {Error} When a migration fails (anything but a file from newer code)
+   */
+  upgrade(data) {
+    try {
+      const migrated = migrateData(data);
+      const { from, to, applied } = migrated;
+      data = migrated.data;
+      if (applied.length > 0) {
+        // Entries may have changed shape: move the version so clients fetch them again
+        this.bumpVersion(data);
+        this.schema.migratedFrom = from;
+        this.schema.migrations = applied;
+        log.info(`🔧 Upgraded trends data from schema ${from} to ${to} (saved on the next write)`, { migrations: applied });
+      }
+    } catch (err) {
+      if (err.code !== 'SCHEMA_TOO_NEW') {
+        throw new Error(`Failed to migrate ${this.filePath} from schema ${getSchemaVersion(data)}: ${err.message} (fix or move the file)`, { cause: err });
+      }
+      // Written by newer code: serve it, but never overwrite it with an older format
+      this.schema.schemaVersion = getSchemaVersion(data);
+      this.schema.readOnly = true;
+      log.error(`${err.message}; serving it read-only`);
+      return data;
+    }
+
+    this.schema.errors = validateData(data);
+    if (this.schema.errors.length > 0) {
+      log.warn(`Trends data does not match schema ${SCHEMA_VERSION} (${this.schema.errors.length} problems)`, { errors: this.schema.errors.slice(0, 5) });
+    }
+    return data;
+  }
+
+  /**
+   * Schema version, migrations run and validation problems of the loaded file
+   */
+  getSchemaStatus() {
+    const { errors, ...status } = this.schema;
+    return { ...status, errorCount: errors.length, errors: errors.slice(0, 20) };
+  }
+
+  /**
+   * Whether the data file has been written at least once
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  getLastUpdateTime() {
+    return this.data?.lastUpdate || null;
+  }
+
+  getVersion() {
+    return this.data?.version || null;
+  }
+
+  /**
+   * Move `version` forward (strictly increasing, even for two saves in the same millisecond)
+   */
+  bumpVersion(data = this.data) {
+    const previous = data.version ? Date.parse(data.version) : 0;
+    data.version = new Date(Math.max(Date.now(), previous + 1)).toISOString();
+  }
+
+  /**
+   * Entries that changed after a version, in the data file layout.
+   * An entry counts as changed when any of its times (lastFetched, normalizedAt, or those of its
+   * other time windows) is later than `since`; metadata and topic IDs are always included.
+   * @param {string} since - A version previously returned by getVersion()
+   * @returns {Object} { delta: true, since, version, lastUpdate, countries, regions, topicIds, metadata, changedEntries }
+   */
+  getChangesSince(since) {
+    const changedAfter = (times) => times.some(time => time && time > since);
+
+    let changedEntries = 0;
+    const countries = {};
+    for (const [country, entries] of Object.entries(this.data.countries || {})) {
+      for (const [name, entry] of Object.entries(entries)) {
+        if (!entry || !changedAfter(entryTimes(entry))) continue;
+        (countries[country] ||= {})[name] = entry;
+        changedEntries++;
+      }
+    }
+
+    const regions = {};
+    for (const [timeframe, byPokemon] of Object.entries(this.data.regions || {})) {
+      for (const [name, breakdown] of Object.entries(byPokemon)) {
+        if (!changedAfter([breakdown?.lastFetched])) continue;
+        (regions[timeframe] ||= {})[name] = breakdown;
+        changedEntries++;
+      }
+    }
+
+    return {
+      delta: true,
+      since,
+      version: this.data.version,
+      lastUpdate: this.data.lastUpdate,
+      countries,
+      regions,
+      topicIds: this.data.topicIds || {},
+      metadata: this.data.metadata,
+      changedEntries
+    };
+  }
+
+  /**
+   * Countries with at least one entry
+   * @returns {Array<string>}
+   */
+  getCountries() {
+    return Object.keys(this.data?.countries || {}).filter(country => Object.keys(this.data.countries[country]).length > 0);
+  }
+
+  /**
+   * Version of one country's shard: the latest change time among its entries
+   * @returns {string|null} null when the country has no entries
+   */
+  getCountryVersion(country) {
+    const entries = Object.values(this.data?.countries?.[country] || {}).filter(Boolean);
+    if (entries.length === 0) return null;
+    return entries.reduce((latest, entry) => {
+      const time = latestTime(entry);
+      return time > latest ? time : latest;
+    }, '') || this.data.version;
+  }
+
+  /**
+   * One country's entries, or only those changed after `since`
+   * @param {string} country - Country code
+   * @param {string} since - A shard version from an earlier response (optional)
+   * @returns {Object|null} { schemaVersion, country, version, lastUpdate, defaultTimeframe, entries, entryCount[, delta, since] };
+   *   null when the country has no entries
+   */
+  getShard(country, since = null) {
+    const version = this.getCountryVersion(country);
+    if (!version) return null;
+
+    let entries = this.data.countries[country];
+    if (since) {
+      entries = Object.fromEntries(Object.entries(entries).filter(([, entry]) => entry && entryTimes(entry).some(time => time > since)));
+    }
+    return {
+      schemaVersion: this.data.schemaVersion,
+      country,
+      version,
+      lastUpdate: this.data.lastUpdate,
+      defaultTimeframe: this.data.metadata?.defaultTimeframe || DEFAULT_TIMEFRAME,
+      ...(since ? { delta: true, since } : {}),
+      entries,
+      entryCount: Object.keys(entries).length
+    };
+  }
+
+  /**
+   * Per-country versions, entry counts and freshness
+   * @param {Object} options - { staleAfterMs, shardUrl: (country) => string }
+   * @returns {Object} { schemaVersion, version, lastUpdate, metadata, staleAfterMs, countries: { CC: { version, entries,
+   *   fallbackEntries, staleEntries, oldestFetch, newestFetch, url } } }
+   */
+  getManifest({ staleAfterMs, shardUrl }) {
+    const now = Date.now();
+    const countries = {};
+    for (const country of this.getCountries()) {
+      const entries = Object.values(this.data.countries[country]).filter(Boolean);
+      const fetched = entries.map(entry => entry.lastFetched).filter(Boolean).sort();
+      countries[country] = {
+        version: this.getCountryVersion(country),
+        entries: entries.length,
+        fallbackEntries: entries.filter(entry => entry.fallback).length,
+        staleEntries: entries.filter(entry => !entry.lastFetched || now - Date.parse(entry.lastFetched) > staleAfterMs).length,
+        oldestFetch: fetched[0] || null,
+        newestFetch: fetched.at(-1) || null,
+        url: shardUrl(country)
+      };
+    }
+    const { totalPokemon, successRate, lastHarvest, defaultTimeframe, timeframes } = this.data.metadata || {};
+    return {
+      schemaVersion: this.data.schemaVersion,
+      version: this.data.version,
+      lastUpdate: this.data.lastUpdate,
+      metadata: { totalPokemon, successRate, lastHarvest, defaultTimeframe: defaultTimeframe || DEFAULT_TIMEFRAME, timeframes },
+      staleAfterMs,
+      countries
+    };
+  }
+
+  /**
+   * Write the current data to disk (atomic). Saves are queued so two writers never share the tmp file.
+   * @returns {Promise<void>} Resolves once this save is on disk; errors are logged, not thrown
+   */
+  save() {
+    if (this.schema?.readOnly) {
+      log.error(`Not saving trends data: the file has schema version ${this.schema.schemaVersion} (supported: ${SCHEMA_VERSION})`);
+      return this.saving;
+    }
+    this.bumpVersion();
+    this.saving = this.saving.then(() => this.write());
+    return this.saving;
+  }
+
+  async write() {
+    try {
+      await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmp = this.filePath + '.tmp';
+      await fsp.writeFile(tmp, JSON.stringify(this.data, null, 2), 'utf8');
+      await fsp.rename(tmp, this.filePath);
+      this.data.lastUpdate = new Date().toISOString();
+    } catch (err) {
+      log.error('Failed to save trends data', { error: err });
+    }
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * @file TrendsProviderFactory.js
+ * Selects the trends provider implementation from configuration.
+ * Every provider exposes interestOverTime, autoComplete, interestByRegion,
+ * relatedQueries and relatedTopics, each resolving to the raw response body
+ * string (same contract as google-trends-api).
+ */
+
+import path from 'path';
+import { GoogleTrendsProvider } from './GoogleTrendsProvider.js';
+import { FixtureTrendsProvider } from './FixtureTrendsProvider.js';
+
+export const TRENDS_PROVIDERS = ['google', 'fixture', 'record'];
+
+/**
+ * Create a trends provider
+ * @param {string} name - 'google' (live), 'fixture' (offline replay) or 'record' (live, saving fixtures)
+ * @param {Object} options - { agent, proxyPool, userAgent, fixtureDir }
+ * @returns {GoogleTrendsProvider|FixtureTrendsProvider}
+ */
+export function createTrendsProvider(name = 'google', options = {}) {
+  const fixtureDir = options.fixtureDir || path.resolve(process.cwd(), 'fixtures/trends');
+
+  switch (String(name).toLowerCase()) {
+    case 'google':
+      return new GoogleTrendsProvider(options);
+    case 'fixture':
+      return new FixtureTrendsProvider({ dir: fixtureDir });
+    case 'record':
+      return new FixtureTrendsProvider({ dir: fixtureDir, recordFrom: new GoogleTrendsProvider(options) });
+    default:
+      throw new Error(`Unknown trends provider "${name}" (expected one of: ${TRENDS_PROVIDERS.join(', ')})`);
+  }
+}
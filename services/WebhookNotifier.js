@@ -0,0 +1,226 @@
+/**
+ * @file WebhookNotifier.js
+ * Outbound webhooks for operational events (harvest finished, low success rate,
+ * blocking detected). Each event is POSTed as JSON to every configured URL:
+ *
+ *   { "id": "whk-…", "event": "refresh.blocked", "createdAt": "…", "data": { … } }
+ *
+ * With a secret, requests carry X-Webhook-Timestamp and
+ * X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`).
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with
+ * exponential backoff; recent deliveries are kept for GET /admin/webhooks.
+ */
+
+import crypto from 'crypto';
+import { createLogger, generateId } from './logger.js';
+
+const log = createLogger('webhooks');
+
+export const WEBHOOK_EVENTS = [
+  'harvest.completed',
+  'harvest.failed',
+  'harvest.low_success_rate',
+  'refresh.blocked',
+  'upstream.opened',
+  'upstream.closed'
+];
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret
+ * @param {string|number} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Name a target without its path or query, which often hold tokens (e.g. Slack incoming webhooks)
+ */
+function describeTarget(url, index) {
+  try {
+    return `#${index + 1} ${new URL(url).host}`;
+  } catch {
+    return `#${index + 1}`;
+  }
+}
+
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+export class WebhookNotifier {
+  /**
+   * @param {Object} options - { urls, secret, events, maxAttempts, retryBaseMs, timeoutMs, logSize }
+   *   events: subscribed event names (all of WEBHOOK_EVENTS when empty); 'test' is always sent
+   *   retryBaseMs: delay before the second attempt; doubles for each further attempt
+   */
+  constructor(options = {}) {
+    this.urls = options.urls || [];
+    this.secret = options.secret || null;
+    this.events = new Set(options.events?.length ? options.events : WEBHOOK_EVENTS);
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryBaseMs = options.retryBaseMs ?? 5000;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.logSize = options.logSize || 100;
+    this.deliveries = []; // newest last
+    this.pending = new Set(); // delivery promises still running (incl. backoff waits)
+    this.timers = new Set();
+    this.closed = false;
+    this.stats = { sent: 0, delivered: 0, failed: 0, retries: 0 };
+  }
+
+  get enabled() {
+    return this.urls.length > 0;
+  }
+
+  /**
+   * Whether an event would be sent
+   */
+  wants(event) {
+    return this.enabled && (event === 'test' || this.events.has(event));
+  }
+
+  /**
+   * Send an event to every URL in the background (retrying failures)
+   * @param {string} event - One of WEBHOOK_EVENTS, or 'test'
+   * @param {Object} data - Event details
+   * @param {Object} options - { retry: false } for a single attempt
+   * @returns {Promise<Array<Object>>} Delivery records once every target succeeded or gave up
+   */
+  notify(event, data = {}, options = {}) {
+    if (!this.wants(event) || this.closed) return Promise.resolve([]);
+    const payload = { id: generateId('whk'), event, createdAt: new Date().toISOString(), data };
+    const body = JSON.stringify(payload);
+    log.info(`📣 Webhook ${event} → ${this.urls.length} target(s)`, { webhookId: payload.id });
+
+    const deliveries = this.urls.map((url, index) => {
+      const promise = this.deliver(url, describeTarget(url, index), payload, body, options.retry === false ? 1 : this.maxAttempts);
+      this.pending.add(promise);
+      return promise.finally(() => this.pending.delete(promise));
+    });
+    return Promise.all(deliveries);
+  }
+
+  /**
+   * POST one payload to one URL until it succeeds, fails permanently or runs out of attempts
+   * @returns {Promise<Object>} The delivery record
+   */
+  async deliver(url, target, payload, body, maxAttempts) {
+    const record = {
+      id: payload.id,
+      event: payload.event,
+      target,
+      status: 'pending',
+      attempts: 0,
+      statusCode: null,
+      error: null,
+      createdAt: payload.createdAt,
+      completedAt: null
+    };
+    this.remember(record);
+
+    while (record.attempts < maxAttempts && !this.closed) {
+      if (record.attempts > 0) {
+        this.stats.retries++;
+        await this.sleep(this.retryBaseMs * 2 ** (record.attempts - 1));
+        if (this.closed) break;
+      }
+      record.attempts++;
+      this.stats.sent++;
+      const retryable = await this.attempt(url, payload, body, record);
+      if (record.status === 'delivered' || !retryable) break;
+    }
+
+    if (record.status !== 'delivered') {
+      record.status = 'failed';
+      this.stats.failed++;
+      log.warn(`❌ Webhook ${payload.event} to ${target} failed after ${record.attempts} attempt(s)`, { webhookId: payload.id, error: record.error });
+    }
+    record.completedAt = new Date().toISOString();
+    return record;
+  }
+
+  /**
+   * One HTTP attempt; updates the record
+   * @returns {boolean} Whether a failure may be retried
+   */
+  async attempt(url, payload, body, record) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PokeTrends-Webhooks/1.0',
+      'X-Webhook-Id': payload.id,
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Timestamp': String(timestamp)
+    };
+    if (this.secret) headers['X-Webhook-Signature'] = signPayload(this.secret, timestamp, body);
+
+    try {
+      const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(this.timeoutMs) });
+      await response.arrayBuffer().catch(() => {}); // release the connection
+      record.statusCode = response.status;
+      if (response.ok) {
+        record.status = 'delivered';
+        record.error = null;
+        this.stats.delivered++;
+        return false;
+      }
+      record.error = `HTTP ${response.status}`;
+      return isRetryable(response.status);
+    } catch (err) {
+      record.error = err.name === 'TimeoutError' ? `timed out after ${this.timeoutMs}ms` : (err.cause?.code || err.message);
+      return true;
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const entry = { resolve };
+      entry.timer = setTimeout(() => {
+        this.timers.delete(entry);
+        resolve();
+      }, ms);
+      this.timers.add(entry);
+    });
+  }
+
+  remember(record) {
+    this.deliveries.push(record);
+    if (this.deliveries.length > this.logSize) this.deliveries.shift();
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {number} limit
+   */
+  getDeliveries(limit = this.logSize) {
+    return this.deliveries.slice(-limit).reverse().map(record => ({ ...record }));
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      targets: this.urls.map(describeTarget),
+      signed: !!this.secret,
+      events: [...this.events],
+      maxAttempts: this.maxAttempts,
+      stats: { ...this.stats, pending: this.pending.size }
+    };
+  }
+
+  /**
+   * Cancel pending retries and wait for attempts already on the wire
+   */
+  async close() {
+    this.closed = true;
+    for (const { timer, resolve } of this.timers) {
+      clearTimeout(timer);
+      resolve();
+    }
+    this.timers.clear();
+    await Promise.allSettled([...this.pending]);
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * @file backend.js
+ * Assembles the backend services from a config object (services/config.js):
+ * trends client, caches, proxy pool, circuit breaker, data store, score history, harvest and
+ * continuous refresh, webhooks. No HTTP and no timers, so scripts and tests can use the
+ * same logic in-process; app.js puts the HTTP API on top.
+ */
+
+import path from 'path';
+import { HarvestService } from './HarvestService.js';
+import { ContinuousRefreshService } from './ContinuousRefreshService.js';
+import { createTrendsProvider } from './TrendsProviderFactory.js';
+import { TrendsCache } from './TrendsCache.js';
+import { TrendsClient } from './TrendsClient.js';
+import { TrendsDataStore } from './TrendsDataStore.js';
+import { HistoryStore } from './HistoryStore.js';
+import { AnchorNormalizer } from './AnchorNormalizer.js';
+import { MetricsRegistry } from './MetricsRegistry.js';
+import { ProxyPool, parseProxyList } from './ProxyPool.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { createRedirectAgent } from './FakeTrendsServer.js';
+import { WebhookNotifier } from './WebhookNotifier.js';
+import { configureLogger, createLogger } from './logger.js';
+import { roster } from '../shared/roster.js';
+
+const log = createLogger('backend');
+
+/**
+ * Fetch the species list from PokéAPI
+ * @param {number} limit - Number of species (all of them by default)
+ * @returns {Promise<Array<{ name: string, id: number }>>}
+ */
+export async function fetchPokemonSpeciesList(limit = 10000) {
+  const response = await fetch(`https://pokeapi.co/api/v2/pokemon-species?limit=${limit}`);
+  const data = await response.json();
+  return (data.results || []).map(r => {
+    const parts = r.url.split('/').filter(Boolean);
+    const id = Number(parts[parts.length - 1]);
+    return { name: r.name, id };
+  });
+}
+
+/**
+ * Species list bundled in shared/roster.json, for runs without network access
+ * @returns {Promise<Array<{ name: string, id: number }>>}
+ */
+export async function rosterSpeciesList() {
+  return Object.entries(roster.species || {}).map(([id, species]) => ({ name: species.name, id: Number(id) }));
+}
+
+/**
+ * Register metrics read from backend state at scrape time
+ */
+function registerBackendMetrics(registry, { trendsClient, trendsCache, circuitBreaker, proxyPool, harvestService, refreshService, webhookNotifier }) {
+  const { metrics, inFlight, limiter } = trendsClient;
+  registry.counter('poketrends_trends_requests_total', 'Trends lookups that missed the cache', { collect: () => metrics.totalRequests });
+  registry.counter('poketrends_upstream_success_total', 'Successful upstream Google Trends calls', { collect: () => metrics.success });
+  registry.counter('poketrends_fallback_total', 'Trends lookups answered with a fallback result', { collect: () => metrics.fallback });
+  registry.counter('poketrends_rate_limit_429_total', 'Upstream responses rejected with HTTP 429 / rate limiting', { collect: () => metrics.rateLimit429 });
+  registry.counter('poketrends_blocked_html_total', 'Upstream responses that were HTML block pages', { collect: () => metrics.blockedHTML });
+  registry.counter('poketrends_coalesced_requests_total', 'Lookups that joined an identical upstream request already in flight', { collect: () => inFlight.stats.coalesced });
+  registry.gauge('poketrends_inflight_requests', 'Distinct upstream lookups currently in flight', { collect: () => inFlight.size });
+  registry.counter('poketrends_queue_rejected_total', 'Live lookups refused because the upstream queue was full', { collect: () => metrics.queueRejected });
+  registry.gauge('poketrends_circuit_breaker_state', 'Upstream circuit breaker state (1 for the current state)', {
+    collect: () => ['closed', 'open', 'half-open'].map(state => ({ labels: { state }, value: circuitBreaker.state === state }))
+  });
+  registry.counter('poketrends_circuit_breaker_rejected_total', 'Upstream requests refused while the circuit breaker was open', { collect: () => circuitBreaker.stats.rejected });
+  registry.counter('poketrends_proxy_requests_total', 'Upstream requests per proxy by outcome', {
+    collect: () => proxyPool.getStatus().proxies.flatMap(p => [
+      { labels: { proxy: p.id, outcome: 'success' }, value: p.success },
+      { labels: { proxy: p.id, outcome: 'rate_limited' }, value: p.rateLimited },
+      { labels: { proxy: p.id, outcome: 'blocked_html' }, value: p.blockedHTML },
+      { labels: { proxy: p.id, outcome: 'error' }, value: p.errors }
+    ])
+  });
+  registry.gauge('poketrends_proxy_quarantined', 'Whether a proxy is currently quarantined', {
+    collect: () => proxyPool.getStatus().proxies.map(p => ({ labels: { proxy: p.id }, value: !p.healthy }))
+  });
+  registry.gauge('poketrends_limiter_queued', 'Jobs waiting in the upstream rate limiter', {
+    collect: () => [
+      { labels: { limiter: 'trends' }, value: limiter.counts().QUEUED },
+      { labels: { limiter: 'refresh' }, value: refreshService.limiter.counts().QUEUED }
+    ]
+  });
+  registry.gauge('poketrends_limiter_running', 'Jobs currently executing in the upstream rate limiter', {
+    collect: () => [
+      { labels: { limiter: 'trends' }, value: limiter.counts().RUNNING + limiter.counts().EXECUTING },
+      { labels: { limiter: 'refresh' }, value: refreshService.limiter.counts().RUNNING + refreshService.limiter.counts().EXECUTING }
+    ]
+  });
+  registry.gauge('poketrends_cache_entries', 'Entries in the durable trends cache', { collect: () => trendsCache.size });
+  registry.gauge('poketrends_cache_hit_ratio', 'Trends cache hit ratio since startup', { collect: () => trendsCache.getStats().hitRatio ?? 0 });
+  registry.counter('poketrends_cache_lookups_total', 'Trends cache lookups by result', {
+    collect: () => {
+      const stats = trendsCache.getStats();
+      return [
+        { labels: { result: 'hit' }, value: stats.hits },
+        { labels: { result: 'miss' }, value: stats.misses }
+      ];
+    }
+  });
+  registry.gauge('poketrends_harvest_running', 'Whether a batch harvest is in progress', { collect: () => harvestService.isRunning });
+  registry.gauge('poketrends_harvest_progress', 'Batch harvest progress counters', {
+    collect: () => {
+      const progress = harvestService.getProgress();
+      return ['current', 'total', 'successCount', 'fallbackCount', 'regionsCount']
+        .map(field => ({ labels: { field }, value: progress[field] || 0 }));
+    }
+  });
+  registry.counter('poketrends_webhook_deliveries_total', 'Webhook deliveries by final result', {
+    collect: () => [
+      { labels: { result: 'delivered' }, value: webhookNotifier.stats.delivered },
+      { labels: { result: 'failed' }, value: webhookNotifier.stats.failed }
+    ]
+  });
+  registry.gauge('poketrends_refresh_running', 'Whether the continuous refresh service is running', { collect: () => refreshService.isRunning });
+  registry.gauge('poketrends_refresh_paused', 'Whether the continuous refresh service is paused (e.g. after blocking)', { collect: () => refreshService.isPaused });
+  registry.gauge('poketrends_refresh_cycle_progress_percent', 'Progress through the current refresh cycle', { collect: () => refreshService.stats.cycleProgress });
+  registry.counter('poketrends_refresh_results_total', 'Continuous refresh outcomes since startup', {
+    collect: () => [
+      { labels: { result: 'success' }, value: refreshService.stats.successCount },
+      { labels: { result: 'failure' }, value: refreshService.stats.failureCount },
+      { labels: { result: 'blocked' }, value: refreshService.stats.blockedCount }
+    ]
+  });
+}
+
+/**
+ * Turn service events into webhook notifications
+ * @param {WebhookNotifier} notifier
+ * @param {Object} services - { harvestService, refreshService, circuitBreaker }
+ * @param {Object} thresholds - { successRateThreshold, minSamples } (webhooks config section)
+ */
+function connectWebhooks(notifier, { harvestService, refreshService, circuitBreaker }, { successRateThreshold, minSamples }) {
+  const successRate = (progress) => Math.round((progress.successCount / progress.current) * 1000) / 10;
+  // Low success rate is reported once per harvest job, as soon as enough entries are in
+  let lowRateJob = null;
+  const checkSuccessRate = (progress) => {
+    if (lowRateJob === progress.jobId || progress.current < Math.min(minSamples, progress.total)) return;
+    const rate = successRate(progress);
+    if (rate >= successRateThreshold) return;
+    lowRateJob = progress.jobId;
+    notifier.notify('harvest.low_success_rate', { ...progress, successRate: rate, threshold: successRateThreshold });
+  };
+
+  harvestService.on('progress', checkSuccessRate);
+  harvestService.on('completed', (progress) => {
+    if (progress.total > 0) checkSuccessRate(progress);
+    notifier.notify('harvest.completed', { ...progress, successRate: progress.total > 0 ? successRate(progress) : null });
+  });
+  harvestService.on('failed', (progress) => notifier.notify('harvest.failed', progress));
+  refreshService.on('blocked', (details) => {
+    if (details.action) notifier.notify('refresh.blocked', { ...details, stats: refreshService.stats });
+  });
+  circuitBreaker.on('state', ({ from, to, reason }) => {
+    // A failed probe (half-open -> open) is the same outage, not a new one
+    if (to === 'open' && from === 'closed') notifier.notify('upstream.opened', { reason, ...circuitBreaker.getStatus() });
+    if (to === 'closed') notifier.notify('upstream.closed', { reason, ...circuitBreaker.getStatus() });
+  });
+}
+
+/**
+ * Build the backend services
+ * @param {Object} config - Result of loadConfig()
+ * @param {Object} options - Optional overrides:
+ *   trendsProvider: provider instance instead of the configured one
+ *   pokemonListFetcher: () => Promise<Array<{ name, id }>> instead of PokéAPI
+ *   dataFile: trends data file instead of <dataDir>/pokemon_trends.json
+ * @returns {Object} { config, offline (fixture provider: no pacing, species from the roster), trendsClient, trendsCache, circuitBreaker, proxyPool, dataStore, historyStore (null when disabled), anchorNormalizer,
+ *   harvestService, refreshService, webhookNotifier, metricsRegistry, fetchPokemonList, load(), shutdown() }
+ */
+export function createBackend(config, options = {}) {
+  configureLogger(config.logging);
+  const dataDir = path.resolve(config.server.dataDir);
+
+  // Shared by live lookups, harvests and the continuous refresh: repeated 429s / HTML blocks
+  // open it, and while open no upstream requests are made (cache or fallback is served instead)
+  const circuitBreaker = new CircuitBreaker({
+    name: 'google-trends',
+    failureThreshold: config.circuitBreaker.failureThreshold,
+    openMs: config.circuitBreaker.openMs,
+    maxOpenMs: config.circuitBreaker.maxOpenMs
+  });
+
+  // PROXY_URL (single proxy) is kept for compatibility and joins the PROXY_URLS pool
+  const proxyPool = new ProxyPool(
+    parseProxyList([...config.proxies.urls, ...(config.trends.proxyUrl ? [config.trends.proxyUrl] : [])]),
+    {
+      strategy: config.proxies.strategy,
+      quarantineAfter: config.proxies.quarantineAfter,
+      quarantineMs: config.proxies.quarantineMs
+    }
+  );
+  if (proxyPool.size > 0) log.info(`🔀 Routing Google Trends requests through ${proxyPool.size} proxies (${proxyPool.strategy})`);
+
+  // Upstream trends provider: 'google' (live), 'fixture' (replay recorded responses) or 'record'.
+  // TRENDS_UPSTREAM_URL redirects the live client to a fake upstream (proxies are bypassed then).
+  const trendsProvider = options.trendsProvider || createTrendsProvider(config.trends.provider, {
+    ...(config.trends.upstreamUrl ? { agent: createRedirectAgent(config.trends.upstreamUrl) } : { proxyPool }),
+    userAgent: config.trends.userAgent || '',
+    fixtureDir: config.trends.fixtureDir ? path.resolve(config.trends.fixtureDir) : undefined
+  });
+  log.info(`Using trends provider: ${trendsProvider.name}${config.trends.upstreamUrl ? ` (upstream ${config.trends.upstreamUrl})` : ''}`);
+  // Fixture replays are local file reads: no upstream pacing or cooldowns, and the species list
+  // comes from shared/roster.json instead of PokéAPI, so harvests and the refresh run fully offline
+  const offline = trendsProvider.name === 'fixture';
+
+  // Durable cache for trends data (persisted to disk so restarts keep rate-limited fetches)
+  const trendsCache = new TrendsCache({
+    filePath: path.resolve(config.cache.file),
+    ttlMs: config.cache.ttlMs,
+    maxEntries: config.cache.maxEntries,
+  });
+
+  // Prometheus metrics; the HTTP layer adds its own before serving GET /metrics
+  const metricsRegistry = new MetricsRegistry();
+  const trendsClient = new TrendsClient({
+    provider: trendsProvider,
+    cache: trendsCache,
+    circuitBreaker,
+    dataDir,
+    minTimeMs: offline ? 0 : config.trends.minTimeMs,
+    cooldownMs: offline ? 0 : config.trends.cooldownMs,
+    htmlCooldownMs: offline ? 0 : config.trends.htmlCooldownMs,
+    maxEstimatedSearches: config.trends.maxEstimatedSearches,
+    // Time spent in the provider call itself (excludes limiter queue wait), per attempt
+    latency: metricsRegistry.histogram('poketrends_upstream_request_duration_seconds', 'Latency of upstream Google Trends calls by method and outcome')
+  });
+
+  // Cross-batch normalizer: compares candidates against a fixed anchor term in groups of up to five
+  const anchorNormalizer = new AnchorNormalizer(
+    (terms, countryCode) => trendsClient.fetchInterest(terms, countryCode, terms.join(' vs ')),
+    async (name) => (await trendsClient.getTopicId(name)) || `${name} pokemon`,
+    {
+      anchor: config.normalization.anchor,
+      groupSize: config.normalization.groupSize
+    }
+  );
+
+  const fetchPokemonList = options.pokemonListFetcher || (offline ? rosterSpeciesList : () => fetchPokemonSpeciesList());
+  const dataStore = new TrendsDataStore(options.dataFile ? path.resolve(options.dataFile) : path.join(dataDir, 'pokemon_trends.json'));
+  // Append-only score snapshots (HISTORY_FILE) written next to every harvested or refreshed entry
+  const historyStore = config.history.enabled ? new HistoryStore(path.resolve(config.history.file)) : null;
+
+  const harvestService = new HarvestService(
+    (name, country, id, timeframe, method) => trendsClient.fetchTrends(name, country, id, timeframe, method),
+    fetchPokemonList,
+    {
+      normalizer: anchorNormalizer,
+      regionsClient: (name, regionOptions) => trendsClient.fetchRegions(name, regionOptions),
+      store: dataStore,
+      dataDir,
+      countries: config.trends.countries,
+      minTime: config.harvest.minTimeMs,
+      paced: !offline,
+      maxRetries: config.harvest.maxRetries,
+      staleAfterMs: config.harvest.staleAfterMs,
+      circuitBreaker,
+      history: historyStore
+    }
+  );
+
+  const refreshService = new ContinuousRefreshService({
+    getTrends: (name, country, id, timeframe) => trendsClient.fetchTrends(name, country, id, timeframe)
+  }, dataStore, {
+    ...config.refresh,
+    ...(offline ? { minTimeMs: 0, jitterMs: 0, requestsPerMinute: null } : {}),
+    countries: config.trends.countries,
+    circuitBreaker,
+    history: historyStore
+  });
+
+  // Signed JSON notifications (WEBHOOK_URLS) for finished harvests, low success rates and blocking
+  const webhookNotifier = new WebhookNotifier({
+    urls: config.webhooks.urls,
+    secret: config.webhooks.secret,
+    events: config.webhooks.events,
+    maxAttempts: config.webhooks.maxAttempts,
+    retryBaseMs: config.webhooks.retryBaseMs,
+    timeoutMs: config.webhooks.timeoutMs
+  });
+  connectWebhooks(webhookNotifier, { harvestService, refreshService, circuitBreaker }, config.webhooks);
+  if (webhookNotifier.enabled) log.info(`📣 Sending webhooks to ${webhookNotifier.urls.length} endpoint(s)`);
+
+  const backend = {
+    config,
+    trendsProvider,
+    trendsClient,
+    trendsCache,
+    circuitBreaker,
+    proxyPool,
+    dataStore,
+    historyStore,
+    anchorNormalizer,
+    harvestService,
+    refreshService,
+    webhookNotifier,
+    metricsRegistry,
+    fetchPokemonList,
+    offline,
+
+    /**
+     * Load the persisted trends cache, topic IDs and score history
+     */
+    async load() {
+      await trendsClient.load();
+      await historyStore?.load();
+    },
+
+    /**
+     * Stop background work and write pending cache entries to disk
+     */
+    async shutdown() {
+      // The refresh limiter rejects a second stop() (e.g. after POST /admin/refresh/stop)
+      await refreshService.stop().catch(() => {});
+      await trendsCache.flush();
+      await dataStore.saving;
+      await historyStore?.flush();
+      await webhookNotifier.close();
+    }
+  };
+  registerBackendMetrics(metricsRegistry, backend);
+  return backend;
+}
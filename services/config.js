@@ -0,0 +1,301 @@
+/**
+ * @file config.js
+ * Central backend configuration: typed defaults, an optional JSON config file
+ * (CONFIG_FILE) and environment variable overrides, validated once at startup.
+ * Precedence: env > config file > defaults. Services receive their section of
+ * the resolved config instead of reading process.env themselves.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Config schema: section -> key -> { type, default, env, ... }
+ * Types: integer, number, string, boolean, list (comma-separated in env), enum (with `values`).
+ * `secret` values are redacted in /admin/config; `nullable` allows an empty value.
+ * `inDataDir` keys default to that file name inside server.dataDir when not set.
+ */
+export const CONFIG_SCHEMA = {
+  server: {
+    port: { type: 'integer', default: 3002, env: 'PORT', min: 1, max: 65535 },
+    dataDir: { type: 'string', default: 'data', env: 'DATA_DIR', description: 'Directory for the trends data file, caches and lock files (relative to the working directory)' },
+    trustProxy: { type: 'string', default: null, nullable: true, env: 'TRUST_PROXY', description: "Express 'trust proxy' setting, so client IPs come from X-Forwarded-For behind a reverse proxy: a hop count (1), true, or addresses/subnets (loopback, 10.0.0.0/8)" }
+  },
+  trends: {
+    provider: { type: 'enum', values: ['google', 'fixture', 'record'], default: 'google', env: 'TRENDS_PROVIDER' },
+    fixtureDir: { type: 'string', default: null, nullable: true, env: 'TRENDS_FIXTURE_DIR' },
+    minTimeMs: { type: 'integer', default: 20000, env: 'TRENDS_MIN_TIME_MS', min: 0, description: 'Minimum spacing between upstream requests' },
+    maxQueue: { type: 'integer', default: 50, env: 'TRENDS_MAX_QUEUE', min: 1, description: 'Refuse live lookups while this many upstream requests are queued' },
+    cooldownMs: { type: 'integer', default: 30000, env: 'TRENDS_COOLDOWN_MS', min: 0, description: 'Pause after an upstream 429' },
+    htmlCooldownMs: { type: 'integer', default: 60000, env: 'TRENDS_HTML_COOLDOWN_MS', min: 0, description: 'Pause after an HTML block page' },
+    proxyUrl: { type: 'string', default: null, nullable: true, env: ['PROXY_URL', 'TRENDS_PROXY'], secret: true },
+    userAgent: { type: 'string', default: null, nullable: true, env: 'TRENDS_USER_AGENT' },
+    upstreamUrl: { type: 'string', default: null, nullable: true, env: 'TRENDS_UPSTREAM_URL', pattern: /^http:\/\/[^\s/]+\/?$/, description: 'Send Google Trends requests to this plain-HTTP host instead of trends.google.com (fake upstream, see scripts/fake_trends_server.js)' },
+    maxEstimatedSearches: { type: 'integer', default: 2000000, env: 'MAX_SEARCHES', min: 1, description: 'Estimated monthly searches at a score of 100' },
+    countries: { type: 'list', default: ['US', 'JP', 'ES', 'GB', 'DE', 'FR'], env: 'TRENDS_COUNTRIES', pattern: /^[A-Z]{2}$/, upperCase: true, minItems: 1, description: 'Countries harvested and refreshed' }
+  },
+  proxies: {
+    urls: { type: 'list', default: [], env: 'PROXY_URLS', pattern: /^https?:\/\/[^\s|]+(\|\d+)?$/, secret: true, description: 'Proxy pool: url or url|weight, comma-separated (PROXY_URL is added to the pool)' },
+    strategy: { type: 'enum', values: ['round-robin', 'weighted'], default: 'round-robin', env: 'PROXY_STRATEGY' },
+    quarantineAfter: { type: 'integer', default: 3, env: 'PROXY_QUARANTINE_AFTER', min: 1, description: 'Consecutive 429s/HTML blocks before a proxy is quarantined' },
+    quarantineMs: { type: 'integer', default: 30 * 60 * 1000, env: 'PROXY_QUARANTINE_MS', min: 1000, description: 'First quarantine length; doubles on each repeat' }
+  },
+  cache: {
+    file: { type: 'string', default: null, nullable: true, inDataDir: 'trends_cache.json', env: 'TRENDS_CACHE_FILE', description: 'Defaults to <dataDir>/trends_cache.json' },
+    ttlMs: { type: 'integer', default: DAY_MS, env: 'TRENDS_CACHE_TTL_MS', min: 1 },
+    maxEntries: { type: 'integer', default: 10000, env: 'TRENDS_CACHE_MAX_ENTRIES', min: 1 }
+  },
+  history: {
+    enabled: { type: 'boolean', default: true, env: 'HISTORY_ENABLED', description: 'Append a snapshot of every harvested/refreshed score to the history file' },
+    file: { type: 'string', default: null, nullable: true, inDataDir: 'trends_history.jsonl', env: 'HISTORY_FILE', description: 'Defaults to <dataDir>/trends_history.jsonl' }
+  },
+  rateLimit: {
+    perMinute: { type: 'number', default: 60, env: 'TRENDS_RATE_LIMIT_PER_MIN', min: 0 },
+    burst: { type: 'integer', default: 20, env: 'TRENDS_RATE_LIMIT_BURST', min: 1 },
+    liveFetchPerMinute: { type: 'number', default: 6, env: 'TRENDS_LIVE_FETCH_PER_MIN', min: 0 },
+    liveFetchBurst: { type: 'integer', default: 10, env: 'TRENDS_LIVE_FETCH_BURST', min: 1 },
+    apiKeys: { type: 'list', default: [], env: 'TRENDS_RATE_LIMIT_API_KEYS', pattern: /^[\w.-]+:\S+$/, secret: true, description: 'Clients with their own /trends budget, sent as X-Api-Key: name:key, comma-separated (not admin tokens)' }
+  },
+  normalization: {
+    anchor: { type: 'string', default: 'pikachu', env: 'TRENDS_ANCHOR' },
+    groupSize: { type: 'integer', default: 5, env: 'TRENDS_ANCHOR_GROUP_SIZE', min: 2, max: 5 }
+  },
+  harvest: {
+    minTimeMs: { type: 'integer', default: 12000, env: 'HARVEST_MIN_TIME_MS', min: 0 },
+    aggressiveMinTimeMs: { type: 'integer', default: 15000, env: 'HARVEST_AGGRESSIVE_MIN_TIME_MS', min: 0, description: 'Pace of `aggressive` harvests (more retries, so spaced further apart)' },
+    maxRetries: { type: 'integer', default: 3, env: 'HARVEST_MAX_RETRIES', min: 1 },
+    staleAfterMs: { type: 'integer', default: 7 * DAY_MS, env: 'HARVEST_STALE_AFTER_MS', min: 0, description: 'Entries older than this are re-fetched' },
+    autoStart: { type: 'boolean', default: true, env: 'HARVEST_AUTO_START', description: 'Start a harvest on boot when no data file exists' }
+  },
+  refresh: {
+    cooldownHours: { type: 'number', default: 72, env: 'REFRESH_COOLDOWN_HOURS', min: 0, description: 'Delay before the continuous refresh auto-starts' },
+    minTimeMs: { type: 'integer', default: 25000, env: 'REFRESH_MIN_TIME_MS', min: 0 },
+    jitterMs: { type: 'integer', default: 10000, env: 'REFRESH_JITTER_MS', min: 0 },
+    requestsPerMinute: { type: 'integer', default: 2, env: 'REFRESH_REQUESTS_PER_MIN', min: 1 },
+    staleAfterMs: { type: 'integer', default: 7 * DAY_MS, env: 'REFRESH_STALE_AFTER_MS', min: 0 },
+    cycleBreakMs: { type: 'integer', default: 5 * 60 * 1000, env: 'REFRESH_CYCLE_BREAK_MS', min: 0 }
+  },
+  circuitBreaker: {
+    failureThreshold: { type: 'integer', default: 5, env: 'BREAKER_FAILURE_THRESHOLD', min: 1, description: 'Consecutive 429s/HTML blocks that open the upstream breaker' },
+    openMs: { type: 'integer', default: 10 * 60 * 1000, env: 'BREAKER_OPEN_MS', min: 1000, description: 'First open period; doubles after each failed probe' },
+    maxOpenMs: { type: 'integer', default: DAY_MS, env: 'BREAKER_MAX_OPEN_MS', min: 1000 }
+  },
+  webhooks: {
+    urls: { type: 'list', default: [], env: 'WEBHOOK_URLS', pattern: /^https?:\/\/\S+$/, secret: true, description: 'Endpoints that receive event notifications (comma-separated)' },
+    secret: { type: 'string', default: null, nullable: true, env: 'WEBHOOK_SECRET', secret: true, description: 'HMAC-SHA256 key for the X-Webhook-Signature header' },
+    events: { type: 'list', default: [], env: 'WEBHOOK_EVENTS', pattern: /^(harvest\.(completed|failed|low_success_rate)|refresh\.blocked|upstream\.(opened|closed))$/, description: 'Events to send (all when empty)' },
+    successRateThreshold: { type: 'number', default: 80, env: 'WEBHOOK_SUCCESS_RATE_THRESHOLD', min: 0, max: 100, description: 'harvest.low_success_rate fires when a harvest drops below this percentage' },
+    minSamples: { type: 'integer', default: 20, env: 'WEBHOOK_MIN_SAMPLES', min: 1, description: 'Entries a harvest must have processed before its success rate is judged' },
+    maxAttempts: { type: 'integer', default: 5, env: 'WEBHOOK_MAX_ATTEMPTS', min: 1 },
+    retryBaseMs: { type: 'integer', default: 5000, env: 'WEBHOOK_RETRY_BASE_MS', min: 0, description: 'Delay before the first retry; doubles for each further attempt' },
+    timeoutMs: { type: 'integer', default: 10000, env: 'WEBHOOK_TIMEOUT_MS', min: 100 }
+  },
+  admin: {
+    tokens: { type: 'string', default: null, nullable: true, env: 'ADMIN_TOKENS', secret: true },
+    tokensFile: { type: 'string', default: null, nullable: true, env: 'ADMIN_TOKENS_FILE' }
+  },
+  logging: {
+    level: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', env: 'LOG_LEVEL' },
+    format: { type: 'enum', values: ['pretty', 'json'], default: 'pretty', env: 'LOG_FORMAT' }
+  },
+  openapi: {
+    validateResponses: { type: 'enum', values: ['off', 'warn', 'strict'], default: 'warn', env: 'OPENAPI_VALIDATE_RESPONSES' }
+  }
+};
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Parse a raw env string into the key's type
+ * @returns {{ value: *, error: string|null }}
+ */
+function parseEnvValue(spec, raw) {
+  const text = String(raw).trim();
+  switch (spec.type) {
+    case 'integer':
+      return /^-?\d+$/.test(text) ? { value: Number(text) } : { error: `expected an integer, got "${text}"` };
+    case 'number':
+      return text !== '' && Number.isFinite(Number(text)) ? { value: Number(text) } : { error: `expected a number, got "${text}"` };
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(text.toLowerCase())) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(text.toLowerCase())) return { value: false };
+      return { error: `expected true/false, got "${text}"` };
+    case 'list':
+      return { value: text.split(',').map(s => s.trim()).filter(Boolean) };
+    case 'enum':
+      return { value: text.toLowerCase() };
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Check a resolved value against its spec
+ * @returns {string|null} Error message
+ */
+function checkValue(spec, value) {
+  if (value === null || value === undefined) {
+    return spec.nullable ? null : 'is required';
+  }
+  switch (spec.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `must be an integer (got ${JSON.stringify(value)})`;
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number (got ${JSON.stringify(value)})`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `must be true or false (got ${JSON.stringify(value)})`;
+      break;
+    case 'enum':
+      if (!spec.values.includes(value)) return `must be one of ${spec.values.join(', ')} (got ${JSON.stringify(value)})`;
+      break;
+    case 'list':
+      if (!Array.isArray(value)) return 'must be a list';
+      if (spec.minItems && value.length < spec.minItems) return `must have at least ${spec.minItems} item(s)`;
+      if (spec.pattern) {
+        const bad = value.filter(item => !spec.pattern.test(String(item)));
+        if (bad.length > 0) return `has invalid item(s): ${bad.join(', ')}`;
+      }
+      break;
+    default:
+      if (typeof value !== 'string') return `must be a string (got ${JSON.stringify(value)})`;
+      if (spec.pattern && !spec.pattern.test(value)) return `must match ${spec.pattern} (got ${JSON.stringify(value)})`;
+  }
+  if (typeof value === 'number') {
+    if (spec.min !== undefined && value < spec.min) return `must be >= ${spec.min} (got ${value})`;
+    if (spec.max !== undefined && value > spec.max) return `must be <= ${spec.max} (got ${value})`;
+  }
+  return null;
+}
+
+function readConfigFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const parsed = JSON.parse(raw);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('config file must contain a JSON object');
+  }
+  return parsed;
+}
+
+/**
+ * Resolve the configuration from defaults, the optional config file and env.
+ * Throws a ConfigError listing every problem, so a bad deploy fails at boot
+ * instead of on the first request that reads the value.
+ * @param {Object} options - { env, file } (file defaults to env.CONFIG_FILE)
+ * @returns {Object} Frozen config; `config.meta` records the file and each key's source
+ */
+export function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const file = options.file !== undefined ? options.file : (env.CONFIG_FILE || null);
+  const errors = [];
+
+  let fileConfig = {};
+  if (file) {
+    try {
+      fileConfig = readConfigFile(path.resolve(file));
+    } catch (err) {
+      errors.push(`CONFIG_FILE ${file}: ${err.message}`);
+    }
+  }
+
+  for (const section of Object.keys(fileConfig)) {
+    if (!CONFIG_SCHEMA[section]) {
+      errors.push(`${section}: unknown config section in ${file}`);
+      continue;
+    }
+    for (const key of Object.keys(fileConfig[section] || {})) {
+      if (!CONFIG_SCHEMA[section][key]) errors.push(`${section}.${key}: unknown config key in ${file}`);
+    }
+  }
+
+  const config = {};
+  const sources = {};
+  for (const [section, keys] of Object.entries(CONFIG_SCHEMA)) {
+    config[section] = {};
+    for (const [key, spec] of Object.entries(keys)) {
+      const name = `${section}.${key}`;
+      let value = spec.default;
+      let source = 'default';
+
+      const fileValue = fileConfig[section]?.[key];
+      if (fileValue !== undefined) {
+        value = fileValue;
+        source = 'file';
+      }
+
+      const envName = [].concat(spec.env || []).find(n => env[n] !== undefined && env[n] !== '');
+      if (envName) {
+        const parsed = parseEnvValue(spec, env[envName]);
+        if (parsed.error) {
+          errors.push(`${name} (${envName}): ${parsed.error}`);
+          continue;
+        }
+        value = parsed.value;
+        source = `env:${envName}`;
+      }
+
+      if (spec.type === 'list' && Array.isArray(value)) {
+        value = value.map(item => (spec.upperCase ? String(item).trim().toUpperCase() : String(item).trim()));
+      }
+
+      const error = checkValue(spec, value);
+      if (error) {
+        errors.push(`${name} ${error}`);
+        continue;
+      }
+      config[section][key] = value;
+      sources[name] = source;
+    }
+  }
+
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  // Files kept in the data directory unless set explicitly, so DATA_DIR moves them too
+  for (const [section, keys] of Object.entries(CONFIG_SCHEMA)) {
+    for (const [key, spec] of Object.entries(keys)) {
+      if (spec.inDataDir && config[section][key] == null) {
+        config[section][key] = path.join(config.server.dataDir, spec.inDataDir);
+      }
+    }
+  }
+
+  config.meta = { file: file ? path.resolve(file) : null, sources };
+  return deepFreeze(config);
+}
+
+function deepFreeze(obj) {
+  for (const value of Object.values(obj)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(obj);
+}
+
+/**
+ * Copy of the config safe to show to operators (/admin/config): secret values
+ * (admin tokens, proxy URLs with credentials) are replaced.
+ * @param {Object} config - From loadConfig
+ * @returns {Object}
+ */
+export function redactConfig(config) {
+  const out = {};
+  for (const [section, keys] of Object.entries(CONFIG_SCHEMA)) {
+    out[section] = {};
+    for (const [key, spec] of Object.entries(keys)) {
+      const value = config[section]?.[key];
+      const isSet = Array.isArray(value) ? value.length > 0 : !!value;
+      out[section][key] = spec.secret && isSet ? '[redacted]' : value;
+    }
+  }
+  if (config.meta) out.meta = config.meta;
+  return out;
+}
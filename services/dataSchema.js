@@ -0,0 +1,219 @@
+/**
+ * @file dataSchema.js
+ * Format of the trends data file (data/pokemon_trends.json): the current
+ * `schemaVersion`, the shape of stored entries, a validator and the migrations
+ * that upgrade older files. `version` remains the save timestamp used for ETags
+ * and `?since=`; `schemaVersion` is the format.
+ *
+ * Schema versions:
+ *   1 - no `schemaVersion`; `version` may only be the creation time, and entries written by the
+ *       continuous refresh carry the whole trends result (rawData, timelineValues, cached, …)
+ *   2 - `schemaVersion: 2`; entries and their `timeframes` windows hold only ENTRY_FIELDS
+ *
+ * To change the format: bump SCHEMA_VERSION, append a migration from the previous
+ * version to MIGRATIONS and update DATA_FILE_SCHEMA.
+ */
+
+import { validateSchema } from './SchemaValidator.js';
+import { DEFAULT_TIMEFRAME } from './timeframes.js';
+
+export const SCHEMA_VERSION = 2;
+
+// Fields of a stored score (top-level entry or a `timeframes` window)
+export const ENTRY_FIELDS = [
+  'score',
+  'avgScore',
+  'maxScore',
+  'estimatedSearches',
+  'estimatedLabel',
+  'estimateMethod',
+  'topicId',
+  'lastFetched',
+  'fallback',
+  'error',
+  'normalizedScore',
+  'normalizedAt'
+];
+
+const nullableNumber = { type: 'number', nullable: true };
+const nullableString = { type: 'string', nullable: true };
+
+const WINDOW_SCHEMA = {
+  type: 'object',
+  required: ['score', 'lastFetched'],
+  additionalProperties: false,
+  properties: {
+    score: nullableNumber,
+    avgScore: nullableNumber,
+    maxScore: nullableNumber,
+    estimatedSearches: nullableNumber,
+    estimatedLabel: nullableString,
+    estimateMethod: nullableString,
+    topicId: nullableString,
+    lastFetched: { type: 'string' },
+    fallback: { type: 'boolean' },
+    error: nullableString,
+    normalizedScore: nullableNumber,
+    normalizedAt: nullableString
+  }
+};
+
+// An entry stored only for a non-default window has no top-level score yet
+const ENTRY_SCHEMA = {
+  ...WINDOW_SCHEMA,
+  required: [],
+  properties: {
+    ...WINDOW_SCHEMA.properties,
+    timeframes: { type: 'object', additionalProperties: WINDOW_SCHEMA }
+  }
+};
+
+export const DATA_FILE_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'version', 'countries', 'metadata'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1 },
+    version: { type: 'string' },
+    lastUpdate: nullableString,
+    countries: { type: 'object', additionalProperties: { type: 'object', additionalProperties: ENTRY_SCHEMA } },
+    topicIds: { type: 'object', additionalProperties: { type: 'string' } },
+    regions: { type: 'object', additionalProperties: { type: 'object', additionalProperties: { type: 'object' } } },
+    metadata: {
+      type: 'object',
+      required: ['defaultTimeframe'],
+      properties: {
+        totalPokemon: { type: 'integer' },
+        successRate: { type: 'number' },
+        lastHarvest: nullableString,
+        defaultTimeframe: { type: 'string' },
+        timeframes: { type: 'object' },
+        normalization: { type: 'object' }
+      }
+    }
+  }
+};
+
+export class SchemaVersionError extends Error {
+  constructor(schemaVersion) {
+    super(`Trends data schema version ${schemaVersion} is newer than supported (${SCHEMA_VERSION})`);
+    this.name = 'SchemaVersionError';
+    this.code = 'SCHEMA_TOO_NEW';
+    this.schemaVersion = schemaVersion;
+  }
+}
+
+/**
+ * Stored entry for a trends result; extra result fields (rawData, timelineValues, …) are left out
+ * @param {Object} result - fetchTrends() result
+ * @returns {Object}
+ */
+export function toEntry(result) {
+  return {
+    score: result.score,
+    avgScore: result.avgScore || null,
+    maxScore: result.maxScore || null,
+    estimatedSearches: result.estimatedSearches || null,
+    estimatedLabel: result.estimatedLabel || null,
+    estimateMethod: result.estimateMethod || null,
+    topicId: result.topicId || null,
+    lastFetched: new Date().toISOString(),
+    fallback: !!result.fallback
+  };
+}
+
+/**
+ * Fields of the stored entry that survive a refetch: the last anchor normalization
+ * (normalizedScore, normalizedAt). They are kept rather than dropped until the next
+ * normalization run; `normalizedAt` earlier than `lastFetched` marks them as stale.
+ * @param {Object|null} existing - Entry being replaced
+ * @returns {Object}
+ */
+export function keptEntryFields(existing) {
+  if (existing?.normalizedScore == null) return {};
+  return { normalizedScore: existing.normalizedScore, normalizedAt: existing.normalizedAt ?? null };
+}
+
+function pickEntryFields(entry) {
+  return Object.fromEntries(ENTRY_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]]));
+}
+
+/**
+ * Upgrades, applied in order. Each one turns `data` from version `from` into `to` and returns it;
+ * migrateData sets schemaVersion.
+ */
+export const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'add schemaVersion, move version up to lastUpdate, fill in missing sections, make successRate a number, keep only ENTRY_FIELDS in entries',
+    migrate(data) {
+      // Versions used to be the creation time only; they now move forward on every save
+      if (!data.version || (data.lastUpdate && data.lastUpdate > data.version)) {
+        data.version = data.lastUpdate || new Date().toISOString();
+      }
+      data.countries ||= {};
+      data.topicIds ||= {};
+      data.regions ||= {};
+      // The refresh wrote metadata.lastUpdate next to the top-level lastUpdate
+      const { lastUpdate: _lastUpdate, ...metadata } = data.metadata || {};
+      data.metadata = { totalPokemon: 0, successRate: 0, lastHarvest: null, defaultTimeframe: DEFAULT_TIMEFRAME, timeframes: {}, ...metadata };
+      // Harvests stored the rate as a toFixed(1) string
+      data.metadata.successRate = Number(data.metadata.successRate) || 0;
+
+      for (const entries of Object.values(data.countries)) {
+        for (const [name, entry] of Object.entries(entries)) {
+          if (!entry || typeof entry !== 'object') {
+            delete entries[name];
+            continue;
+          }
+          const upgraded = pickEntryFields(entry);
+          if (entry.timeframes) {
+            upgraded.timeframes = Object.fromEntries(
+              Object.entries(entry.timeframes).filter(([, window]) => window).map(([timeframe, window]) => [timeframe, pickEntryFields(window)])
+            );
+          }
+          entries[name] = upgraded;
+        }
+      }
+      return data;
+    }
+  }
+];
+
+/**
+ * Schema version of a parsed data file (1 for files written before it was recorded)
+ */
+export function getSchemaVersion(data) {
+  return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 1;
+}
+
+/**
+ * Upgrade a parsed data file to SCHEMA_VERSION (migrations modify `data`; use the returned copy)
+ * @param {Object} data
+ * @returns {{ data: Object, from: number, to: number, applied: Array<string> }} applied: descriptions of the migrations run
+ * @throws {SchemaVersionError} When the file was written by a newer version of the code
+ */
+export function migrateData(data) {
+  const from = getSchemaVersion(data);
+  if (from > SCHEMA_VERSION) throw new SchemaVersionError(from);
+
+  const applied = [];
+  let current = from;
+  for (const migration of MIGRATIONS) {
+    if (migration.from !== current) continue;
+    data = migration.migrate(data);
+    current = migration.to;
+    applied.push(`${migration.from} → ${migration.to}: ${migration.description}`);
+  }
+  // schemaVersion first, so it is the first thing seen in the file
+  const { schemaVersion: _previous, ...rest } = data;
+  return { data: { schemaVersion: current, ...rest }, from, to: current, applied };
+}
+
+/**
+ * Check a data file against DATA_FILE_SCHEMA
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateData(data) {
+  return validateSchema({}, DATA_FILE_SCHEMA, data, '$');
+}
@@ -0,0 +1,148 @@
+/**
+ * @file logger.js
+ * Leveled logger for the backend with optional JSON output.
+ * Correlation IDs (HTTP request ID, harvest/refresh job ID) are carried in
+ * AsyncLocalStorage, so every line logged while handling a request or running
+ * a background job is tagged without threading IDs through call signatures.
+ *
+ * Env:
+ *   LOG_LEVEL  - debug | info | warn | error (default: info)
+ *   LOG_FORMAT - pretty | json (default: pretty)
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+
+const config = {
+  level: LOG_LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] ? String(process.env.LOG_LEVEL).toLowerCase() : 'info',
+  format: String(process.env.LOG_FORMAT || '').toLowerCase() === 'json' ? 'json' : 'pretty'
+};
+
+/**
+ * Override the level/format at runtime (e.g. from the CLI)
+ * @param {Object} options - { level, format }
+ */
+export function configureLogger(options = {}) {
+  if (options.level && LOG_LEVELS[options.level]) config.level = options.level;
+  if (options.format === 'json' || options.format === 'pretty') config.format = options.format;
+}
+
+/**
+ * Short random ID for requests and jobs
+ * @param {string} prefix - e.g. 'req', 'harvest'
+ */
+export function generateId(prefix = '') {
+  const id = crypto.randomBytes(6).toString('hex');
+  return prefix ? `${prefix}-${id}` : id;
+}
+
+/**
+ * Run a function with correlation fields (merged over any enclosing context)
+ * @param {Object} fields - e.g. { requestId } or { jobId }
+ * @param {Function} fn
+ */
+export function runWithContext(fields, fn) {
+  return contextStorage.run({ ...(contextStorage.getStore() || {}), ...fields }, fn);
+}
+
+/**
+ * Run a function with only these correlation fields, ignoring the enclosing context.
+ * Used to start background jobs from a request handler: the job outlives the request,
+ * so its lines must not carry the triggering request's requestId.
+ * @param {Object} fields - e.g. { jobId }
+ * @param {Function} fn
+ */
+export function runInNewContext(fields, fn) {
+  return contextStorage.run({ ...fields }, fn);
+}
+
+export function getContext() {
+  return contextStorage.getStore() || {};
+}
+
+// Errors serialize to {} in JSON, so keep their message (and stack at debug level)
+function normalizeFields(fields) {
+  if (!fields) return {};
+  if (fields instanceof Error) fields = { error: fields };
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value instanceof Error) {
+      out[key] = value.message;
+      if (config.level === 'debug' && value.stack) out[`${key}Stack`] = value.stack;
+    } else if (value !== undefined) {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function formatPretty(record) {
+  const { time, level, component, msg, ...rest } = record;
+  const fields = Object.entries(rest)
+    .map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${fields ? ` ${fields}` : ''}`;
+}
+
+function write(level, component, bindings, msg, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[config.level]) return;
+  const record = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...getContext(),
+    ...bindings,
+    ...normalizeFields(fields)
+  };
+  const line = config.format === 'json' ? JSON.stringify(record) : formatPretty(record);
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * Create a logger for a component
+ * @param {string} component - e.g. 'server', 'harvest', 'refresh'
+ * @param {Object} bindings - Fields added to every line
+ * @returns {{ debug, info, warn, error, child }} Each level takes (message, fields?)
+ */
+export function createLogger(component, bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', component, bindings, msg, fields),
+    info: (msg, fields) => write('info', component, bindings, msg, fields),
+    warn: (msg, fields) => write('warn', component, bindings, msg, fields),
+    error: (msg, fields) => write('error', component, bindings, msg, fields),
+    child: (extra) => createLogger(component, { ...bindings, ...extra })
+  };
+}
+
+/**
+ * Express middleware: assign a request ID (or reuse X-Request-Id), echo it in the
+ * response and log one line per completed request
+ * @param {Object} log - Logger from createLogger
+ */
+export function requestLogger(log) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : generateId('req');
+    const start = process.hrtime.bigint();
+    res.set('X-Request-Id', requestId);
+
+    runWithContext({ requestId }, () => {
+      res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+        log[level](`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+          status: res.statusCode,
+          durationMs: Number(durationMs.toFixed(1))
+        });
+      });
+      next();
+    });
+  };
+}
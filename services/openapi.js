@@ -0,0 +1,723 @@
+/**
+ * @file openapi.js
+ * OpenAPI 3 document for the HTTP API, served at /openapi.json and used by
+ * SchemaValidator to validate requests and responses.
+ * Enums (timeframes, scoring methods, resolutions) are passed in by the server
+ * so the spec always matches what the code accepts.
+ */
+
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+const errorResponses = {
+  400: { description: 'Invalid request', ...json(ref('Error')) },
+  429: { description: 'Rate limited or upstream queue full (see Retry-After)', ...json(ref('Error')) },
+  500: { description: 'Unexpected server error', ...json(ref('Error')) }
+};
+
+const adminResponses = {
+  401: { description: 'Missing or invalid admin token', ...json(ref('Error')) },
+  403: { description: 'Token lacks the required scope', ...json(ref('Error')) }
+};
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} options - { timeframes, defaultTimeframe, scoringMethods, defaultScoringMethod, regionResolutions, maxCompareNames }
+ * @returns {Object}
+ */
+export function buildOpenApiSpec(options) {
+  const {
+    timeframes,
+    defaultTimeframe,
+    scoringMethods,
+    defaultScoringMethod,
+    regionResolutions,
+    maxCompareNames = 8
+  } = options;
+
+  const nullableNumber = { type: 'number', nullable: true };
+  const nullableString = { type: 'string', nullable: true };
+  const rankedList = (item) => ({
+    type: 'object',
+    required: ['top', 'rising'],
+    properties: { top: { type: 'array', items: item }, rising: { type: 'array', items: item } }
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'PokéTrends API',
+      version: '1.0.0',
+      description: 'Google Trends popularity data for Pokémon. Trends results keep the same shape on success and fallback; check `fallback`.'
+    },
+    servers: [{ url: '/' }],
+    components: {
+      securitySchemes: {
+        adminToken: { type: 'http', scheme: 'bearer', description: 'Admin API token (ADMIN_TOKENS); `read` or `control` scope' }
+      },
+      parameters: {
+        pokemonName: {
+          name: 'pokemonName', in: 'query', required: true,
+          schema: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9-]{0,39}$' },
+          description: 'PokéAPI species name, e.g. pikachu or mr-mime'
+        },
+        countryCode: {
+          name: 'countryCode', in: 'query', required: true,
+          schema: { type: 'string', pattern: '^[A-Za-z]{2}$' },
+          description: 'ISO 3166-1 alpha-2 country code'
+        },
+        pokemonId: {
+          name: 'pokemonId', in: 'query', required: false,
+          schema: { type: 'integer', minimum: 1, maximum: 100000 },
+          description: 'National Dex number, used for the release-adjusted search ceiling'
+        },
+        timeframe: {
+          name: 'timeframe', in: 'query', required: false,
+          schema: { type: 'string', enum: timeframes, default: defaultTimeframe }
+        },
+        method: {
+          name: 'method', in: 'query', required: false,
+          schema: { type: 'string', enum: scoringMethods, default: defaultScoringMethod }
+        }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: { type: 'string' },
+            message: { type: 'string' },
+            details: { type: 'array', items: { type: 'string' } },
+            retryAfter: { type: 'integer' },
+            requiredScope: { type: 'string' }
+          }
+        },
+        TrendsResult: {
+          type: 'object',
+          required: [
+            'pokemonName', 'countryCode', 'timeframe', 'score', 'avgScore', 'maxScore', 'recentAvg',
+            'timelineValues', 'timelineSum', 'estimatedSearches', 'estimatedLabel', 'estimateMethod',
+            'usedTopic', 'topicId', 'cached', 'fallback'
+          ],
+          properties: {
+            pokemonName: { type: 'string' },
+            countryCode: { type: 'string' },
+            timeframe: { type: 'string', enum: timeframes },
+            score: { type: 'number' },
+            avgScore: { ...nullableNumber, description: 'null on fallback' },
+            maxScore: { ...nullableNumber, description: 'null on fallback' },
+            recentAvg: { ...nullableNumber, description: 'null on fallback' },
+            timelineValues: { type: 'array', items: { type: 'number' } },
+            timelineSum: { type: 'number' },
+            estimatedSearches: { type: 'integer' },
+            estimatedLabel: nullableString,
+            estimateMethod: { type: 'string', nullable: true, enum: scoringMethods, description: 'null on fallback' },
+            rawData: { type: 'object', nullable: true },
+            usedTopic: { type: 'boolean' },
+            topicId: nullableString,
+            cached: { type: 'boolean' },
+            stale: { type: 'boolean', description: 'Expired cache entry served while the upstream circuit breaker is open' },
+            fallback: { type: 'boolean' },
+            error: { type: 'string' }
+          }
+        },
+        Region: {
+          type: 'object',
+          required: ['geoCode', 'geoName', 'value'],
+          properties: { geoCode: nullableString, geoName: { type: 'string' }, value: { type: 'number' } }
+        },
+        RegionsResult: {
+          type: 'object',
+          required: ['pokemonName', 'geo', 'resolution', 'timeframe', 'regions', 'topRegion', 'usedTopic', 'topicId', 'cached', 'fallback'],
+          properties: {
+            pokemonName: { type: 'string' },
+            geo: { type: 'string' },
+            resolution: { type: 'string', enum: regionResolutions },
+            timeframe: { type: 'string', enum: timeframes },
+            regions: { type: 'array', items: ref('Region') },
+            topRegion: { ...ref('Region'), nullable: true },
+            usedTopic: { type: 'boolean' },
+            topicId: nullableString,
+            cached: { type: 'boolean' },
+            stale: { type: 'boolean', description: 'Expired cache entry served while the upstream circuit breaker is open' },
+            fallback: { type: 'boolean' },
+            error: { type: 'string' }
+          }
+        },
+        RelatedResult: {
+          type: 'object',
+          required: ['pokemonName', 'countryCode', 'timeframe', 'queries', 'topics', 'usedTopic', 'topicId', 'cached', 'fallback'],
+          properties: {
+            pokemonName: { type: 'string' },
+            countryCode: { type: 'string' },
+            timeframe: { type: 'string', enum: timeframes },
+            queries: rankedList({
+              type: 'object',
+              required: ['query', 'value'],
+              properties: { query: { type: 'string' }, value: { type: 'number' }, formattedValue: { type: 'string' } }
+            }),
+            topics: rankedList({
+              type: 'object',
+              required: ['mid', 'title', 'value'],
+              properties: {
+                mid: nullableString,
+                title: nullableString,
+                type: nullableString,
+                value: { type: 'number' },
+                formattedValue: { type: 'string' }
+              }
+            }),
+            usedTopic: { type: 'boolean' },
+            topicId: nullableString,
+            cached: { type: 'boolean' },
+            stale: { type: 'boolean', description: 'Expired cache entry served while the upstream circuit breaker is open' },
+            fallback: { type: 'boolean' },
+            error: { type: 'string' }
+          }
+        },
+        CompareResult: {
+          type: 'object',
+          required: ['anchor', 'anchorTerm', 'countryCode', 'groupSize', 'normalizedAt', 'scores', 'failures'],
+          properties: {
+            anchor: { type: 'string' },
+            anchorTerm: { type: 'string' },
+            countryCode: { type: 'string' },
+            groupSize: { type: 'integer' },
+            normalizedAt: { type: 'string' },
+            scores: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                required: ['normalizedScore'],
+                properties: {
+                  normalizedScore: nullableNumber,
+                  mean: nullableNumber,
+                  anchorMean: nullableNumber,
+                  batch: { type: 'integer', nullable: true }
+                }
+              }
+            },
+            failures: { type: 'array', items: { type: 'object' } }
+          }
+        },
+        ScoringMethods: {
+          type: 'object',
+          required: ['methods'],
+          properties: {
+            methods: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['name', 'description', 'default'],
+                properties: { name: { type: 'string' }, description: { type: 'string' }, default: { type: 'boolean' } }
+              }
+            }
+          }
+        },
+        TrendsDataFile: {
+          type: 'object',
+          required: ['countries', 'metadata'],
+          properties: {
+            schemaVersion: { type: 'integer', description: 'Format of the data file (see services/dataSchema.js)' },
+            version: { type: 'string', description: 'ISO timestamp that moves forward on every save; pass it back as `since`' },
+            lastUpdate: nullableString,
+            countries: { type: 'object', additionalProperties: { type: 'object' } },
+            topicIds: { type: 'object' },
+            regions: { type: 'object' },
+            metadata: { type: 'object' },
+            delta: { type: 'boolean', description: 'true when only entries changed after `since` are included' },
+            since: { type: 'string' },
+            changedEntries: { type: 'integer' }
+          }
+        },
+        TrendsShard: {
+          type: 'object',
+          required: ['country', 'version', 'entries'],
+          properties: {
+            schemaVersion: { type: 'integer', description: 'Format of the entries (see services/dataSchema.js)' },
+            country: { type: 'string' },
+            version: { type: 'string', description: 'Latest change time among the country\'s entries; pass it back as `since`' },
+            lastUpdate: nullableString,
+            defaultTimeframe: { type: 'string', description: 'Window stored at the top level of each entry' },
+            entries: { type: 'object', additionalProperties: { type: 'object' }, description: 'pokemonName -> entry' },
+            entryCount: { type: 'integer' },
+            delta: { type: 'boolean', description: 'true when only entries changed after `since` are included' },
+            since: { type: 'string' }
+          }
+        },
+        DataManifest: {
+          type: 'object',
+          required: ['version', 'countries'],
+          properties: {
+            schemaVersion: { type: 'integer', description: 'Format of the data file and its shards' },
+            version: { type: 'string', description: 'Version of the whole data file' },
+            lastUpdate: nullableString,
+            metadata: { type: 'object' },
+            staleAfterMs: { type: 'integer', description: 'Entries fetched longer ago than this count as stale' },
+            countries: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                required: ['version', 'entries', 'url'],
+                properties: {
+                  version: { type: 'string', description: 'Shard version (ETag of the shard)' },
+                  entries: { type: 'integer' },
+                  fallbackEntries: { type: 'integer' },
+                  staleEntries: { type: 'integer' },
+                  oldestFetch: nullableString,
+                  newestFetch: nullableString,
+                  url: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        HarvestProgress: {
+          type: 'object',
+          required: ['current', 'total', 'successCount', 'fallbackCount'],
+          properties: {
+            current: { type: 'integer' },
+            total: { type: 'integer' },
+            successCount: { type: 'integer' },
+            fallbackCount: { type: 'integer' },
+            regionsCount: { type: 'integer' },
+            jobId: { type: 'string' },
+            waitingForUpstream: { type: 'boolean', description: 'Paused while the upstream circuit breaker is open' }
+          }
+        },
+        HarvestRequest: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            targetPokemon: { type: 'array', nullable: true, items: { type: 'string' } },
+            targetCountries: { type: 'array', nullable: true, items: { type: 'string', pattern: '^[A-Za-z]{2}$' } },
+            aggressive: { type: 'boolean' },
+            normalize: { type: 'boolean' },
+            includeRegions: { type: 'boolean' },
+            timeframe: { type: 'string', enum: timeframes },
+            method: { type: 'string', enum: scoringMethods }
+          }
+        },
+        NormalizeRequest: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            targetPokemon: { type: 'array', nullable: true, items: { type: 'string' } },
+            targetCountries: { type: 'array', nullable: true, items: { type: 'string', pattern: '^[A-Za-z]{2}$' } }
+          }
+        },
+        JobStarted: {
+          type: 'object',
+          required: ['status'],
+          properties: {
+            status: { type: 'string', enum: ['started', 'already_running', 'unavailable'] },
+            jobId: { type: 'string' },
+            estimatedTime: { type: 'string' },
+            progress: ref('HarvestProgress'),
+            error: { type: 'string' }
+          }
+        },
+        HarvestStatus: {
+          type: 'object',
+          required: ['isRunning', 'isNormalizing', 'progress', 'lastUpdate'],
+          properties: {
+            isRunning: { type: 'boolean' },
+            isNormalizing: { type: 'boolean' },
+            progress: ref('HarvestProgress'),
+            lastUpdate: nullableString
+          }
+        },
+        RefreshStatus: {
+          type: 'object',
+          required: ['isRunning', 'isPaused', 'stats', 'estimatedCompletion'],
+          properties: {
+            isRunning: { type: 'boolean' },
+            isPaused: { type: 'boolean' },
+            waitingForUpstream: { type: 'boolean' },
+            stats: {
+              type: 'object',
+              required: ['successCount', 'failureCount', 'blockedCount', 'cycleProgress'],
+              properties: {
+                lastRun: nullableString,
+                successCount: { type: 'integer' },
+                failureCount: { type: 'integer' },
+                blockedCount: { type: 'integer' },
+                currentPokemon: nullableString,
+                cycleProgress: { type: 'number' }
+              }
+            },
+            estimatedCompletion: { type: 'object', nullable: true }
+          }
+        },
+        ActionResult: {
+          type: 'object',
+          required: ['success', 'message'],
+          properties: { success: { type: 'boolean' }, message: { type: 'string' } }
+        },
+        HistorySnapshot: {
+          type: 'object',
+          required: ['at', 'score', 'source', 'fallback'],
+          properties: {
+            at: { type: 'string' },
+            score: nullableNumber,
+            avgScore: nullableNumber,
+            maxScore: nullableNumber,
+            estimatedSearches: { type: 'integer', nullable: true },
+            source: { type: 'string', enum: ['harvest', 'refresh'] },
+            fallback: { type: 'boolean' },
+            jobId: { type: 'string' }
+          }
+        },
+        ScoreHistory: {
+          type: 'object',
+          required: ['pokemonName', 'timeframe', 'countries'],
+          properties: {
+            pokemonName: { type: 'string' },
+            timeframe: { type: 'string', enum: timeframes },
+            countries: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                required: ['snapshots', 'latestScore', 'previousScore', 'change'],
+                properties: {
+                  snapshots: { type: 'array', items: ref('HistorySnapshot') },
+                  latestScore: { ...nullableNumber, description: 'Most recent non-fallback score' },
+                  previousScore: { ...nullableNumber, description: 'The non-fallback score before it' },
+                  change: { ...nullableNumber, description: 'latestScore - previousScore' }
+                }
+              }
+            }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          required: ['id', 'event', 'target', 'status', 'attempts'],
+          properties: {
+            id: { type: 'string' },
+            event: { type: 'string' },
+            target: { type: 'string', description: 'Target number and host (paths and queries are not shown)' },
+            status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+            attempts: { type: 'integer' },
+            statusCode: { type: 'integer', nullable: true },
+            error: nullableString,
+            createdAt: { type: 'string' },
+            completedAt: nullableString
+          }
+        },
+        WebhookStatus: {
+          type: 'object',
+          required: ['enabled', 'targets', 'events', 'stats', 'deliveries'],
+          properties: {
+            enabled: { type: 'boolean' },
+            targets: { type: 'array', items: { type: 'string' } },
+            signed: { type: 'boolean' },
+            events: { type: 'array', items: { type: 'string' } },
+            maxAttempts: { type: 'integer' },
+            stats: { type: 'object' },
+            deliveries: { type: 'array', items: ref('WebhookDelivery') }
+          }
+        },
+        ProxyPoolStatus: {
+          type: 'object',
+          required: ['strategy', 'proxies'],
+          properties: {
+            strategy: { type: 'string', enum: ['round-robin', 'weighted'] },
+            quarantineAfter: { type: 'integer' },
+            quarantineMs: { type: 'integer' },
+            proxies: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'healthy', 'requests'],
+                properties: {
+                  id: { type: 'string', description: 'Proxy URL without credentials, plus its position in the pool' },
+                  weight: { type: 'integer' },
+                  healthy: { type: 'boolean' },
+                  quarantinedUntil: { type: 'string', nullable: true },
+                  consecutiveBlocks: { type: 'integer' },
+                  requests: { type: 'integer' },
+                  success: { type: 'integer' },
+                  rateLimited: { type: 'integer' },
+                  blockedHTML: { type: 'integer' },
+                  errors: { type: 'integer' },
+                  quarantines: { type: 'integer' },
+                  lastUsed: { type: 'string', nullable: true },
+                  lastError: { type: 'string', nullable: true }
+                }
+              }
+            }
+          }
+        },
+        ClearCacheResult: {
+          type: 'object',
+          required: ['message', 'before', 'after', 'cleared'],
+          properties: {
+            message: { type: 'string' },
+            before: { type: 'object' },
+            after: { type: 'object' },
+            cleared: {
+              type: 'object',
+              required: ['trends', 'topic'],
+              properties: { trends: { type: 'integer' }, topic: { type: 'integer' } }
+            }
+          }
+        },
+        CircuitBreakerStatus: {
+          type: 'object',
+          required: ['name', 'state'],
+          properties: {
+            name: { type: 'string' },
+            state: { type: 'string', enum: ['closed', 'open', 'half-open'] },
+            consecutiveFailures: { type: 'integer' },
+            failureThreshold: { type: 'integer' },
+            openUntil: nullableString,
+            retryAfterSec: { type: 'integer' },
+            lastReason: nullableString,
+            opened: { type: 'integer' },
+            rejected: { type: 'integer' },
+            probes: { type: 'integer' },
+            lastOpened: nullableString,
+            lastClosed: nullableString
+          }
+        },
+        Health: {
+          type: 'object',
+          required: ['status', 'uptime', 'upstream'],
+          properties: {
+            status: { type: 'string', enum: ['ok', 'degraded'], description: '`degraded` while the upstream circuit breaker is not closed' },
+            cacheSize: { type: 'integer' },
+            uptime: { type: 'number' },
+            upstream: ref('CircuitBreakerStatus')
+          }
+        }
+      }
+    },
+    paths: {
+      '/trends': {
+        get: {
+          summary: 'Popularity score for one Pokémon in one country',
+          parameters: [param('pokemonName'), param('countryCode'), param('pokemonId'), param('timeframe'), param('method')],
+          responses: { 200: { description: 'Trends result (live, cached or fallback)', ...json(ref('TrendsResult')) }, ...errorResponses }
+        }
+      },
+      '/trends/methods': {
+        get: {
+          summary: 'Available scoring strategies',
+          responses: { 200: { description: 'Scoring methods', ...json(ref('ScoringMethods')) } }
+        }
+      },
+      '/trends/regions': {
+        get: {
+          summary: 'Interest by region (worldwide per country, or per subregion of a country)',
+          parameters: [
+            param('pokemonName'),
+            { name: 'countryCode', in: 'query', required: false, schema: { type: 'string', pattern: '^[A-Za-z]{2}$' }, description: 'Omit for a worldwide per-country breakdown' },
+            {
+              name: 'resolution', in: 'query', required: false,
+              schema: { type: 'string', enum: [...regionResolutions, ...regionResolutions.map(r => r.toLowerCase())] },
+              description: 'Defaults to COUNTRY worldwide and REGION within a country'
+            },
+            param('timeframe')
+          ],
+          responses: { 200: { description: 'Region breakdown', ...json(ref('RegionsResult')) }, ...errorResponses }
+        }
+      },
+      '/trends/related': {
+        get: {
+          summary: 'Top and rising related queries and topics',
+          parameters: [param('pokemonName'), param('countryCode'), param('timeframe')],
+          responses: { 200: { description: 'Related queries and topics', ...json(ref('RelatedResult')) }, ...errorResponses }
+        }
+      },
+      '/trends/compare': {
+        get: {
+          summary: `Compare up to ${maxCompareNames} Pokémon on a shared anchor scale`,
+          parameters: [
+            { name: 'names', in: 'query', required: true, schema: { type: 'string', minLength: 1, maxLength: 400 }, description: 'Comma-separated Pokémon names' },
+            param('countryCode')
+          ],
+          responses: { 200: { description: 'Anchor-normalized scores', ...json(ref('CompareResult')) }, ...errorResponses }
+        }
+      },
+      '/data/trends': {
+        get: {
+          summary: 'Pre-harvested trends data file (ETag / Last-Modified; 304 when unchanged)',
+          parameters: [
+            {
+              name: 'since', in: 'query', required: false, schema: { type: 'string' },
+              description: 'A `version` from an earlier response: only entries changed after it are returned (`delta: true`); merge them into the earlier copy'
+            }
+          ],
+          responses: {
+            200: { description: 'Data file, or the changes since `since`', ...json(ref('TrendsDataFile')) },
+            304: { description: 'Not modified (If-None-Match / If-Modified-Since)' },
+            400: errorResponses[400]
+          }
+        }
+      },
+      '/data/trends/{country}': {
+        get: {
+          summary: 'One country\'s trends entries (ETag / Last-Modified follow the shard version; 304 when unchanged)',
+          parameters: [
+            { name: 'country', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z]{2}$' }, description: 'Country code' },
+            {
+              name: 'since', in: 'query', required: false, schema: { type: 'string' },
+              description: 'A shard `version` from an earlier response: only entries changed after it are returned (`delta: true`)'
+            }
+          ],
+          responses: {
+            200: { description: 'Shard, or its changes since `since`', ...json(ref('TrendsShard')) },
+            304: { description: 'Not modified (If-None-Match / If-Modified-Since)' },
+            400: errorResponses[400],
+            404: { description: 'No data for this country', ...json(ref('Error')) }
+          }
+        }
+      },
+      '/data/manifest': {
+        get: {
+          summary: 'Per-country shard versions, entry counts and freshness',
+          responses: { 200: { description: 'Dataset manifest', ...json(ref('DataManifest')) } }
+        }
+      },
+      '/data/history': {
+        get: {
+          summary: 'Score history of one Pokémon (snapshots appended by harvests and the continuous refresh)',
+          parameters: [
+            { name: 'pokemon', in: 'query', required: true, schema: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9-]{0,39}$' }, description: 'PokéAPI species name' },
+            { name: 'country', in: 'query', required: false, schema: { type: 'string', pattern: '^[A-Za-z]{2}$' }, description: 'Limit to one country (all countries when omitted)' },
+            param('timeframe'),
+            { name: 'since', in: 'query', required: false, schema: { type: 'string', format: 'date-time' }, description: 'Only snapshots taken at or after this time' },
+            { name: 'includeFallback', in: 'query', required: false, schema: { type: 'boolean', default: true }, description: 'Include fallback scores (flagged `fallback: true`)' },
+            { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 1000 }, description: 'Most recent snapshots per country' }
+          ],
+          responses: {
+            200: { description: 'Snapshots per country, oldest first', ...json(ref('ScoreHistory')) },
+            400: errorResponses[400],
+            404: { description: 'History is disabled (HISTORY_ENABLED=false)', ...json(ref('Error')) }
+          }
+        }
+      },
+      '/health': {
+        get: {
+          summary: 'Liveness check',
+          responses: { 200: { description: 'Healthy', ...json(ref('Health')) } }
+        }
+      },
+      '/metrics': {
+        get: {
+          summary: 'Prometheus metrics',
+          responses: { 200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          responses: { 200: { description: 'OpenAPI document', ...json({ type: 'object' }) } }
+        }
+      },
+      '/admin/metrics': {
+        get: {
+          summary: 'Runtime counters and cache statistics',
+          security: [{ adminToken: [] }],
+          responses: { 200: { description: 'Metrics', ...json({ type: 'object', required: ['metrics'], properties: { metrics: { type: 'object' } } }) }, ...adminResponses }
+        }
+      },
+      '/admin/proxies': {
+        get: {
+          summary: 'Health of each outbound proxy: request outcomes and quarantine state',
+          security: [{ adminToken: [] }],
+          responses: { 200: { description: 'Proxy pool status', ...json({ $ref: '#/components/schemas/ProxyPoolStatus' }) }, ...adminResponses }
+        }
+      },
+      '/admin/webhooks': {
+        get: {
+          summary: 'Webhook targets, counters and the delivery log (newest first)',
+          security: [{ adminToken: [] }],
+          parameters: [{ name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 } }],
+          responses: { 200: { description: 'Webhook status', ...json(ref('WebhookStatus')) }, ...adminResponses }
+        }
+      },
+      '/admin/webhooks/test': {
+        post: {
+          summary: 'Send a signed `test` event to every webhook target (one attempt each)',
+          security: [{ adminToken: [] }],
+          responses: {
+            200: { description: 'Delivery results', ...json({ type: 'object', required: ['deliveries'], properties: { deliveries: { type: 'array', items: ref('WebhookDelivery') } } }) },
+            400: errorResponses[400],
+            ...adminResponses
+          }
+        }
+      },
+      '/admin/config': {
+        get: {
+          summary: 'Effective configuration with secrets redacted, and the source (default, file, env) of each value',
+          security: [{ adminToken: [] }],
+          responses: { 200: { description: 'Configuration', ...json({ type: 'object', required: ['server', 'trends', 'meta'], properties: { meta: { type: 'object', properties: { file: { type: 'string', nullable: true }, sources: { type: 'object', additionalProperties: { type: 'string' } } } } } }) }, ...adminResponses }
+        }
+      },
+      '/admin/clear-cache': {
+        get: {
+          summary: 'Clear the trends and topic caches (all, or for one Pokémon / topic)',
+          security: [{ adminToken: [] }],
+          parameters: [
+            { name: 'pokemonName', in: 'query', required: false, schema: { type: 'string' } },
+            { name: 'topic', in: 'query', required: false, schema: { type: 'string' } }
+          ],
+          responses: { 200: { description: 'Cleared', ...json(ref('ClearCacheResult')) }, ...adminResponses }
+        }
+      },
+      '/admin/harvest': {
+        post: {
+          summary: 'Start a background harvest',
+          security: [{ adminToken: [] }],
+          requestBody: { required: false, ...json(ref('HarvestRequest')) },
+          responses: { 200: { description: 'Harvest job', ...json(ref('JobStarted')) }, 400: errorResponses[400], ...adminResponses }
+        }
+      },
+      '/admin/normalize': {
+        post: {
+          summary: 'Rescale harvested scores onto the shared anchor scale',
+          security: [{ adminToken: [] }],
+          requestBody: { required: false, ...json(ref('NormalizeRequest')) },
+          responses: { 200: { description: 'Normalization job', ...json(ref('JobStarted')) }, 400: errorResponses[400], ...adminResponses }
+        }
+      },
+      '/admin/harvest/status': {
+        get: {
+          summary: 'Harvest progress',
+          security: [{ adminToken: [] }],
+          responses: { 200: { description: 'Status', ...json(ref('HarvestStatus')) }, ...adminResponses }
+        }
+      },
+      '/admin/events': {
+        get: {
+          summary: 'Live progress stream (Server-Sent Events)',
+          description: 'Events: started, fetched, fallback, blocked, saved, progress, completed, failed (harvest); ' +
+            'started, fetched, fallback, blocked, saved, progress, stopped (refresh); state (upstream breaker). ' +
+            'A status snapshot is sent on connect; Last-Event-ID replays recent events.',
+          security: [{ adminToken: [] }],
+          parameters: [
+            { name: 'source', in: 'query', required: false, description: 'Comma-separated sources: harvest, refresh, upstream', schema: { type: 'string' } },
+            { name: 'lastEventId', in: 'query', required: false, description: 'Same as the Last-Event-ID header', schema: { type: 'integer' } }
+          ],
+          responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }, ...adminResponses }
+        }
+      },
+      '/admin/refresh/status': {
+        get: {
+          summary: 'Continuous refresh status',
+          security: [{ adminToken: [] }],
+          responses: { 200: { description: 'Status', ...json(ref('RefreshStatus')) }, ...adminResponses }
+        }
+      },
+      ...Object.fromEntries(['start', 'stop', 'pause', 'resume'].map(action => [`/admin/refresh/${action}`, {
+        post: {
+          summary: `${action[0].toUpperCase()}${action.slice(1)} the continuous refresh service`,
+          security: [{ adminToken: [] }],
+          responses: { 200: { description: 'Result', ...json(ref('ActionResult')) }, ...adminResponses }
+        }
+      }]))
+    }
+  };
+}
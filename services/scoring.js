@@ -0,0 +1,146 @@
+/**
+ * @file scoring.js
+ * Turns trends timelines into scores and estimated search counts, and builds
+ * fallback results when no timeline is available. Pure functions, so scripts
+ * and tests can score data without a server or an upstream connection.
+ */
+
+import { getReleaseDate } from '../shared/roster.js';
+import { DEFAULT_SCORING_METHOD, scoreTimeline } from './ScoringStrategies.js';
+
+// Estimated monthly searches at a score of 100 (config: trends.maxEstimatedSearches)
+export const DEFAULT_MAX_ESTIMATED_SEARCHES = 2000000;
+// Earliest year Google Trends data is available
+const GOOGLE_TRENDS_START_YEAR = 2004;
+// Baseline year for ceiling calculation (when Pikachu/Gen 1 had full search history available)
+const BASELINE_YEAR = 2004;
+
+/**
+ * Get the release year for a Pokémon by ID, from the shared roster (shared/roster.json).
+ * Clamped to the first year of Google Trends data.
+ * @param {number} pokemonId
+ * @param {string} countryCode - Optional; uses the regional release date when known
+ * @returns {number} Release year
+ */
+export function getPokemonReleaseYear(pokemonId, countryCode = null) {
+  const releaseDate = getReleaseDate(pokemonId, countryCode);
+  const year = releaseDate ? new Date(releaseDate).getUTCFullYear() : BASELINE_YEAR;
+  return Math.max(GOOGLE_TRENDS_START_YEAR, year);
+}
+
+/**
+ * Calculate the adjusted estimated-searches ceiling based on Pokémon's release year.
+ * Normalizes for the fact that newer Pokémon have less historical search volume.
+ * @param {number} pokemonId
+ * @param {string} countryCode - Optional; regional release dates differ for older generations
+ * @param {number} maxEstimatedSearches - Ceiling for a Pokémon with the full search history
+ * @returns {number} Adjusted ceiling for estimated searches
+ */
+export function getAdjustedMaxSearchesCeiling(pokemonId, countryCode = null, maxEstimatedSearches = DEFAULT_MAX_ESTIMATED_SEARCHES) {
+  const releaseYear = getPokemonReleaseYear(pokemonId, countryCode);
+  const currentYear = new Date().getFullYear();
+
+  // Years since release (minimum 1 year to avoid division issues)
+  const yearsSinceRelease = Math.max(1, currentYear - releaseYear);
+
+  // Years available in Google Trends (from 2004 to present)
+  const yearsInTrends = currentYear - GOOGLE_TRENDS_START_YEAR;
+
+  // Proportion of search history available for this Pokémon
+  // e.g., Gen 1 (2004): 22 years available / 22 years since release = 100% baseline
+  // e.g., Gen 9 (2022): 22 years available / 4 years since release = ~18% (capped at that)
+  const proportionAvailable = Math.min(1, yearsSinceRelease / yearsInTrends);
+
+  // Scale the baseline ceiling proportionally
+  return Math.round(maxEstimatedSearches * proportionAvailable);
+}
+
+function searchesCeiling(pokemonId, countryCode, maxEstimatedSearches) {
+  return pokemonId != null ? getAdjustedMaxSearchesCeiling(pokemonId, countryCode, maxEstimatedSearches) : maxEstimatedSearches;
+}
+
+/**
+ * Format an estimated search count for display
+ */
+export function prettySearchLabel(n) {
+  if (n >= 1000000) return `~${(n / 1000000).toFixed(1)}M searches`;
+  if (n >= 1000) return `~${(n / 1000).toFixed(0)}k searches`;
+  return `~${n} searches`;
+}
+
+/**
+ * Get fallback score for popular Pokémon
+ */
+export function getFallbackScore(pokemonName) {
+  // Deterministic fallback based on name to avoid hard-coded celebrity bias.
+  // This mirrors the frontend fallback behavior (stable, reproducible values in 30-79 range).
+  const baseName = (pokemonName || '').toString().toLowerCase();
+  // compute simple seed from name
+  const seed = baseName.split('').reduce((acc, c) => acc + c.charCodeAt(0), 0);
+  // Cap fallback to avoid artificially dominant results (max 60)
+  return Math.min(60, 30 + (seed % 50));
+}
+
+/**
+ * Score a trends result's timeline with the given strategy and map it to estimated searches.
+ * Fallback results (no timeline) are returned unchanged.
+ * @param {Object} result - Trends result with `timelineValues`
+ * @param {string} method - Scoring strategy name
+ * @param {number} pokemonId - Pokémon ID (optional, used for generation-based ceiling)
+ * @param {number} maxEstimatedSearches - Estimated searches at a score of 100
+ * @returns {Object} Result with score, avgScore, maxScore, recentAvg, estimatedSearches and estimateMethod
+ */
+export function applyScoring(result, method = DEFAULT_SCORING_METHOD, pokemonId = null, maxEstimatedSearches = DEFAULT_MAX_ESTIMATED_SEARCHES) {
+  if (result.fallback || !Array.isArray(result.timelineValues) || result.timelineValues.length === 0) {
+    return result;
+  }
+  const scored = scoreTimeline(result.timelineValues, method);
+
+  // Map score to estimated searches using generation-adjusted ceiling
+  const ceiling = searchesCeiling(pokemonId, result.countryCode, maxEstimatedSearches);
+  const estimatedSearches = Math.round((scored.score / 100) * ceiling);
+
+  return {
+    ...result,
+    score: scored.score,
+    avgScore: scored.avgScore,
+    maxScore: scored.maxScore,
+    recentAvg: scored.recentAvg,
+    timelineSum: scored.sum,
+    estimatedSearches,
+    estimatedLabel: prettySearchLabel(estimatedSearches),
+    estimateMethod: method,
+    fallback: false
+  };
+}
+
+/**
+ * Fallback trends result with the same fields as a scored one (see TrendsResult in services/openapi.js).
+ * Timeline-derived stats are null since there is no timeline.
+ * @param {Object} extra - { rawData, usedTopic, topicId, error }
+ * @param {number} maxEstimatedSearches - Estimated searches at a score of 100
+ */
+export function buildTrendsFallback(pokemonName, countryCode, pokemonId, timeframe, extra = {}, maxEstimatedSearches = DEFAULT_MAX_ESTIMATED_SEARCHES) {
+  const score = getFallbackScore(pokemonName);
+  const ceiling = searchesCeiling(pokemonId, countryCode, maxEstimatedSearches);
+  return {
+    pokemonName,
+    countryCode,
+    timeframe,
+    score,
+    avgScore: null,
+    maxScore: null,
+    recentAvg: null,
+    timelineValues: [],
+    timelineSum: 0,
+    estimatedSearches: Math.round((score / 100) * ceiling),
+    estimatedLabel: null,
+    estimateMethod: null,
+    rawData: extra.rawData ?? null,
+    usedTopic: extra.usedTopic ?? false,
+    topicId: extra.topicId ?? null,
+    cached: false,
+    fallback: true,
+    ...(extra.error ? { error: extra.error } : {})
+  };
+}
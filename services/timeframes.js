@@ -0,0 +1,59 @@
+/**
+ * @file timeframes.js
+ * Supported Google Trends time windows for /trends and harvests.
+ */
+
+// Earliest date Google Trends data is available
+const GOOGLE_TRENDS_START = '2004-01-01';
+
+export const TIMEFRAMES = {
+  '7d': { label: 'Past 7 days', days: 7 },
+  '90d': { label: 'Past 90 days', days: 90 },
+  '12m': { label: 'Past 12 months', days: 365 },
+  '5y': { label: 'Past 5 years', days: 5 * 365 },
+  'all': { label: 'All time (2004 - present)', since: GOOGLE_TRENDS_START },
+};
+
+// The window used when none is requested; top-level data file entries hold this window
+export const DEFAULT_TIMEFRAME = '12m';
+
+/**
+ * @param {string} timeframe
+ * @returns {boolean}
+ */
+export function isValidTimeframe(timeframe) {
+  return Object.prototype.hasOwnProperty.call(TIMEFRAMES, timeframe);
+}
+
+/**
+ * Get the `startTime` to request from Google Trends for a time window
+ * @param {string} timeframe - One of TIMEFRAMES keys
+ * @returns {Date}
+ */
+export function getTimeframeStartTime(timeframe = DEFAULT_TIMEFRAME) {
+  const def = TIMEFRAMES[timeframe] || TIMEFRAMES[DEFAULT_TIMEFRAME];
+  if (def.since) return new Date(def.since);
+  return new Date(Date.now() - def.days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Time window closest to a requested range, e.g. to tell windows apart in fixture keys
+ * and fake upstream data, which only see the `startTime` (or Google's `time` range)
+ * @param {Date|string|number} startTime
+ * @param {Date|string|number} [endTime] - Defaults to now
+ * @returns {string} One of TIMEFRAMES keys
+ */
+export function timeframeForRange(startTime, endTime = Date.now()) {
+  const spanDays = (new Date(endTime) - new Date(startTime)) / (24 * 60 * 60 * 1000);
+  let closest = DEFAULT_TIMEFRAME;
+  let closestDistance = Infinity;
+  for (const [timeframe, def] of Object.entries(TIMEFRAMES)) {
+    const days = def.since ? (new Date(endTime) - new Date(def.since)) / (24 * 60 * 60 * 1000) : def.days;
+    const distance = Math.abs(Math.log(Math.max(spanDays, 1) / days));
+    if (distance < closestDistance) {
+      closest = timeframe;
+      closestDistance = distance;
+    }
+  }
+  return closest;
+}
@@ -0,0 +1,80 @@
+/**
+ * @file roster.js
+ * Pokémon roster lookups shared by the backend and the frontend.
+ * Data lives in roster.json: per-generation defaults (ID range, debut game, regional
+ * release dates) and hand-curated `overrides` for species that debuted later (DLC,
+ * event or spin-off releases). Release dates are therefore per generation and region;
+ * only species in `overrides` have their own. The `species` list (PokéAPI name and
+ * generation per National Dex number) is the backend's allow-list of Pokémon names;
+ * scripts/build_roster.js regenerates it. New DLC Pokémon only need an entry in `overrides`.
+ */
+
+import roster from './roster.json' with { type: 'json' };
+
+export { roster };
+
+/**
+ * Release region (roster.json `releaseRegions` key) for a country code
+ * @param {string} countryCode - e.g. 'US', 'JP'
+ * @returns {string|null} e.g. 'NA', 'JP', 'EU' or null when unmapped
+ */
+export function getReleaseRegion(countryCode) {
+  if (!countryCode) return null;
+  const code = String(countryCode).toUpperCase();
+  for (const [region, countries] of Object.entries(roster.releaseRegions || {})) {
+    if (countries.includes(code)) return region;
+  }
+  return null;
+}
+
+/**
+ * Get Pokémon generation by ID
+ * @param {number} id - Pokémon ID (National Dex number)
+ * @returns {number} - Generation number
+ */
+export function getGenerationById(id) {
+  const listed = roster.species?.[id]?.generation;
+  if (listed) return listed;
+
+  const generations = Object.entries(roster.generations).map(([gen, def]) => [Number(gen), def]);
+  const match = generations.find(([, def]) => id >= def.firstId && id <= def.lastId);
+  if (match) return match[0];
+  // Newer than the roster knows about: assume the latest generation
+  return Math.max(...generations.map(([gen]) => gen));
+}
+
+/**
+ * Get the roster entry for a species, merging generation defaults with per-species data
+ * @param {number} id - Pokémon ID
+ * @returns {{ id: number, name: string|null, generation: number, debutGame: string, firstRelease: string, releases: Object }}
+ */
+export function getRosterEntry(id) {
+  const generation = getGenerationById(id);
+  const genDef = roster.generations[generation] || {};
+  const species = roster.species?.[id] || {};
+  const override = roster.overrides?.[id] || {};
+
+  const releases = { ...(genDef.releases || {}), ...(override.releases || {}) };
+  const firstRelease = Object.values(releases).sort()[0] || null;
+
+  return {
+    id,
+    name: override.name || species.name || null,
+    generation,
+    debutGame: override.debutGame || genDef.debutGame || null,
+    firstRelease,
+    releases
+  };
+}
+
+/**
+ * Release date of a species in a country (falls back to the first worldwide release)
+ * @param {number} id - Pokémon ID
+ * @param {string} countryCode - Optional country code
+ * @returns {string|null} ISO date (YYYY-MM-DD)
+ */
+export function getReleaseDate(id, countryCode = null) {
+  const entry = getRosterEntry(id);
+  const region = getReleaseRegion(countryCode);
+  return (region && entry.releases[region]) || entry.firstRelease;
+}
@@ -10,6 +10,13 @@ export const GAME_CONFIG = {
     POKEMON_LIMIT: 0,
 };
 
+// Google Trends time windows served by the backend ('12m' is the classic game)
+export const TIMEFRAMES = ['7d', '90d', '12m', '5y', 'all'];
+export const DEFAULT_TIMEFRAME = '12m';
+
+// Trends data format this build reads (schemaVersion in services/dataSchema.js)
+export const TRENDS_SCHEMA_VERSION = 2;
+
 export const COUNTRIES = [
     { code: 'ES', name: 'España', flag: '🇪🇸' },
     { code: 'JP', name: '日本', flag: '🇯🇵' },
@@ -30,6 +37,7 @@ export const STORAGE_KEYS = {
     SELECTED_COUNTRY: 'selectedCountry',
     GAME_STATS: 'gameStats',
     POKEMON_CACHE: 'pokemonCache',
+    TRENDS_DATA: 'trendsData',
 };
 
 export const API_ENDPOINTS = {
@@ -304,6 +304,8 @@ export class GameController {
     this.gameState.setCountry(countryCode);
     StorageService.saveCountry(countryCode);
     this.popularityService.clearCache();
+    // Fetch the new country's trends shard now; scores wait for it
+    this.popularityService.loadCountry(countryCode);
 
     if (this.gameState.isActive) {
       this.startGame();
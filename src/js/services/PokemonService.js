@@ -5,6 +5,7 @@
 
 import { API_ENDPOINTS, GAME_CONFIG } from '../config/constants.js';
 import { StorageService } from './StorageService.js';
+import { getGenerationById } from '../../../shared/roster.js';
 
 /**
  * @class PokemonService
@@ -154,20 +155,12 @@ export class PokemonService {
     }
 
     /**
-     * Get Pokémon generation by ID
+     * Get Pokémon generation by ID (from the shared roster, shared/roster.json)
      * @param {number} id - Pokémon ID
      * @returns {number} - Generation number
      */
     getGenerationById(id) {
-        if (id <= 151) return 1;  // Generation I:    Kanto
-        if (id <= 251) return 2;  // Generation II:   Johto
-        if (id <= 386) return 3;  // Generation III:  Hoenn
-        if (id <= 493) return 4;  // Generation IV:   Sinnoh
-        if (id <= 649) return 5;  // Generation V:    Unova
-        if (id <= 721) return 6;  // Generation VI:   Kalos
-        if (id <= 809) return 7;  // Generation VII:  Alola
-        if (id <= 905) return 8;  // Generation VIII: Galar
-        return 9;                 // Generation IX:   Paldea
+        return getGenerationById(id);
     }
 
     /**
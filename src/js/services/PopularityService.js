@@ -1,5 +1,6 @@
 import { PokemonService } from "./PokemonService.js";
 import { TrendsApiService } from "./TrendsApiService.js";
+import { DEFAULT_TIMEFRAME } from "../config/constants.js";
 
 /**
  * @class PopularityService
@@ -16,11 +17,12 @@ export class PopularityService {
      * @param {string} pokemonName - Name of the Pokémon
      * @param {string} countryCode - Country code (default: 'US')
      * @param {number} pokemonId - Pokémon ID (used for generation-based ceiling calculation)
+     * @param {string} timeframe - Time window ('7d', '90d', '12m', '5y', 'all')
      * Returns an object { score, estimatedSearches, estimatedLabel, rawData, ... }
      */
-    async getPopularityScore(pokemonName, countryCode = 'US', pokemonId = null) {
+    async getPopularityScore(pokemonName, countryCode = 'US', pokemonId = null, timeframe = DEFAULT_TIMEFRAME) {
         try {
-            const data = await this.trends.getTrendsScore(pokemonName, countryCode, pokemonId);
+            const data = await this.trends.getTrendsScore(pokemonName, countryCode, pokemonId, timeframe);
             // Ensure we return a consistent object
             if (data && typeof data === 'object') {
                 return {
@@ -45,6 +47,15 @@ export class PopularityService {
         }
     }
 
+    /**
+     * Start loading a country's pre-computed trends data (e.g. when it gets selected)
+     * @param {string} countryCode - Country code
+     * @returns {Promise<void>}
+     */
+    loadCountry(countryCode) {
+        return this.trends.loadCountry(countryCode);
+    }
+
     /**
      * Clear any internal caches
      */
@@ -133,6 +133,34 @@ export class StorageService {
         }
     }
 
+    /**
+     * Save the pre-computed trends shards (kept between visits so only changes are downloaded)
+     * @param {Object} shards - countryCode -> shard, each including its `version`
+     * @returns {void}
+     */
+    static saveTrendsShards(shards) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.TRENDS_DATA, JSON.stringify({ shards }));
+        } catch (error) {
+            // Usually the storage quota; the next visit downloads the shards again
+            console.error('Error saving trends data:', error);
+        }
+    }
+
+    /**
+     * Load the stored trends shards
+     * @returns {Object} - countryCode -> shard (empty when none are stored, or only the older full-file copy is)
+     */
+    static loadTrendsShards() {
+        try {
+            const data = localStorage.getItem(STORAGE_KEYS.TRENDS_DATA);
+            return (data && JSON.parse(data).shards) || {};
+        } catch (error) {
+            console.error('Error loading trends data:', error);
+            return {};
+        }
+    }
+
     /**
      * Clear all stored data
      * @returns {void}
@@ -1,6 +1,10 @@
+import { DEFAULT_TIMEFRAME, TRENDS_SCHEMA_VERSION } from '../config/constants.js';
+import { StorageService } from './StorageService.js';
+
 /**
  * Trends API Service (Frontend)
- * Prioritizes pre-computed local data, falls back to live API in dev mode
+ * Prioritizes pre-computed local data, falls back to live API in dev mode.
+ * Pre-computed data is loaded per country (/data/trends/:country), only for countries in use.
  */
 export class TrendsApiService {
   constructor() {
@@ -10,48 +14,159 @@ export class TrendsApiService {
       : (process.env.VITE_API_BASE_URL || 'http://localhost:3002');
     this.apiUrl = `${baseUrl}/trends`;
     this.dataUrl = `${baseUrl}/data/trends`;
+    this.manifestUrl = `${baseUrl}/data/manifest`;
     this.cache = new Map();
-    this.localData = null;
+    // countryCode -> shard kept from earlier visits; shards stored in another format are downloaded again
+    this.shards = Object.fromEntries(
+      Object.entries(StorageService.loadTrendsShards()).filter(([, shard]) => shard?.schemaVersion === TRENDS_SCHEMA_VERSION)
+    );
+    this.shardLoads = new Map(); // countryCode -> Promise of this session's shard load
+    this.shardFailures = new Map(); // countryCode -> time of the last failed shard load
+    this.shardRetryMs = 60000; // a failed shard load is not retried before this
+    this.manifest = null;
     this.dataAge = null;
+    this.loadTimeoutMs = 10000;
     this.isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
     
-    // Load local data on init
-    this.loadLocalData();
+    // Load the selected country's data on init; other countries load when selected
+    this.manifestLoad = this.loadManifest();
+    this.loadCountry(StorageService.loadCountry() || 'US');
+  }
+
+  /**
+   * Load the dataset manifest (shard versions, entry counts and freshness per country)
+   * @returns {Promise<Object|null>} The manifest, or null when the server is unreachable
+   */
+  async loadManifest() {
+    try {
+      const response = await fetch(this.manifestUrl, { cache: 'no-store', signal: AbortSignal.timeout(this.loadTimeoutMs) });
+      if (!response.ok) {
+        throw new Error(`Failed to load manifest: ${response.status}`);
+      }
+      this.manifest = await response.json();
+      const totalPokemon = this.manifest.metadata?.totalPokemon || 0;
+      const successRate = this.manifest.metadata?.successRate || 0;
+      console.log(`📦 Trends data: ${totalPokemon} Pokémon in ${Object.keys(this.manifest.countries).length} countries, ${successRate}% success rate`);
+      return this.manifest;
+    } catch (err) {
+      console.warn('⚠️ Failed to load trends manifest:', err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Make sure a country's pre-computed data is loaded (once per session). A failed load is retried
+   * once `shardRetryMs` has passed; until then lookups go straight to the live API / fallback
+   * instead of each waiting for another timeout.
+   * @param {string} countryCode - Country code
+   * @returns {Promise<void>}
+   */
+  loadCountry(countryCode) {
+    const failedAt = this.shardFailures.get(countryCode);
+    if (failedAt !== undefined && Date.now() - failedAt >= this.shardRetryMs) {
+      this.shardFailures.delete(countryCode);
+      this.shardLoads.delete(countryCode);
+    }
+    if (!this.shardLoads.has(countryCode)) {
+      this.shardLoads.set(countryCode, this.loadShard(countryCode));
+    }
+    return this.shardLoads.get(countryCode);
   }
 
   /**
-   * Load pre-computed trends data from server
+   * Load one country's shard.
+   * The copy kept from the last visit is used when the manifest lists the same version; otherwise
+   * the server is asked only for what changed since that version (304 when nothing did).
    */
-  async loadLocalData() {
+  async loadShard(countryCode) {
+    const stored = this.shards[countryCode];
+    if (stored) {
+      this.dataAge = new Date(stored.lastUpdate);
+    }
+
     try {
-      const response = await fetch(this.dataUrl);
+      const listed = (await this.manifestLoad)?.countries;
+      if (listed && !listed[countryCode]) {
+        console.log(`📦 No pre-computed trends data for ${countryCode}`);
+        if (stored) {
+          delete this.shards[countryCode];
+          StorageService.saveTrendsShards(this.shards);
+        }
+        return;
+      }
+      if (stored && listed?.[countryCode].version === stored.version) {
+        console.log(`📦 Trends data for ${countryCode} unchanged since ${stored.version}`);
+        return;
+      }
+
+      const url = stored?.version
+        ? `${this.dataUrl}/${countryCode}?since=${encodeURIComponent(stored.version)}`
+        : `${this.dataUrl}/${countryCode}`;
+      const headers = stored?.version ? { 'If-None-Match': `W/"${stored.version}"` } : {};
+      // The stored copy is the cache: bypass the browser's HTTP cache so the 304 reaches this code
+      const response = await fetch(url, { headers, cache: 'no-store', signal: AbortSignal.timeout(this.loadTimeoutMs) });
+
+      if (response.status === 304) {
+        console.log(`📦 Trends data for ${countryCode} unchanged since ${stored.version}`);
+        return;
+      }
       if (!response.ok) {
         throw new Error(`Failed to load data: ${response.status}`);
       }
-      
-      this.localData = await response.json();
-      this.dataAge = new Date(this.localData.lastUpdate);
-      
-      const totalPokemon = this.localData?.metadata?.totalPokemon || 0;
-      const successRate = this.localData?.metadata?.successRate || 0;
-      
-      console.log(`📦 Loaded pre-computed trends data: ${totalPokemon} Pokémon, ${successRate}% success rate`);
+
+      const shard = await response.json();
+      if (shard.schemaVersion !== TRENDS_SCHEMA_VERSION) {
+        throw new Error(`Unsupported trends data schema ${shard.schemaVersion} (expected ${TRENDS_SCHEMA_VERSION})`);
+      }
+      if (shard.delta) {
+        this.setShard(countryCode, this.mergeShard(stored, shard));
+        console.log(`📦 Merged ${shard.entryCount} changed ${countryCode} trends entries since ${shard.since}`);
+      } else {
+        this.setShard(countryCode, shard);
+        console.log(`📦 Loaded pre-computed trends data for ${countryCode}: ${shard.entryCount} Pokémon`);
+      }
+      StorageService.saveTrendsShards(this.shards);
       console.log(`📅 Last update: ${this.dataAge.toLocaleString()}`);
     } catch (err) {
-      console.warn('⚠️ Failed to load local trends data, will use live API:', err.message);
+      this.shardFailures.set(countryCode, Date.now());
+      if (stored) {
+        console.warn(`⚠️ Failed to refresh ${countryCode} trends data, using the stored copy:`, err.message);
+      } else {
+        console.warn(`⚠️ Failed to load ${countryCode} trends data, will use live API:`, err.message);
+      }
     }
   }
 
+  setShard(countryCode, shard) {
+    this.shards[countryCode] = shard;
+    this.dataAge = new Date(shard.lastUpdate);
+    this.cache.clear();
+  }
+
+  /**
+   * Apply a `?since=` shard delta to the stored shard: changed entries replace the old ones;
+   * version and times come from the delta
+   * @param {Object} base - Stored shard
+   * @param {Object} delta - Response with `delta: true`
+   * @returns {Object} Merged shard
+   */
+  mergeShard(base, delta) {
+    const entries = { ...(base.entries || {}), ...(delta.entries || {}) };
+    const { delta: _delta, since: _since, ...rest } = delta;
+    return { ...rest, entries, entryCount: Object.keys(entries).length };
+  }
+
   /**
    * Get Google Trends data for a Pokémon
    * Priority: 1) Local data (if fresh), 2) Live API (localhost only), 3) Fallback
    * @param {string} pokemonName - Name of the Pokémon
    * @param {string} countryCode - Country code (default: 'US')
    * @param {number} pokemonId - Pokémon ID (optional, used for generation-based ceiling calculation)
+   * @param {string} timeframe - Time window: '7d', '90d', '12m' (default), '5y' or 'all'
    * @returns {Promise<Object>} Object containing { score, estimatedSearches, estimatedLabel, rawData, ... }
    */
-  async getTrendsScore(pokemonName, countryCode = 'US', pokemonId = null) {
-    const cacheKey = `${pokemonName}_${countryCode}`;
+  async getTrendsScore(pokemonName, countryCode = 'US', pokemonId = null, timeframe = DEFAULT_TIMEFRAME) {
+    const cacheKey = `${pokemonName}_${countryCode}_${timeframe}`;
     
     // Check in-memory cache first
     if (this.cache.has(cacheKey)) {
@@ -59,8 +174,9 @@ export class TrendsApiService {
     }
 
     // Priority 1: Use local pre-computed data if available and fresh
-    if (this.localData?.countries?.[countryCode]?.[pokemonName]) {
-      const entry = this.localData.countries[countryCode][pokemonName];
+    await this.loadCountry(countryCode);
+    const entry = this.getLocalEntry(pokemonName, countryCode, timeframe);
+    if (entry) {
       const lastFetched = entry.lastFetched ? new Date(entry.lastFetched) : null;
       const age = lastFetched ? (Date.now() - lastFetched.getTime()) : Infinity;
       
@@ -71,7 +187,8 @@ export class TrendsApiService {
           source: 'local',
           cached: true,
           pokemonName,
-          countryCode
+          countryCode,
+          timeframe
         };
         
         this.cache.set(cacheKey, data);
@@ -83,7 +200,7 @@ export class TrendsApiService {
     // Priority 2: Fallback to live API (localhost only for dev)
     if (this.isLocalhost) {
       try {
-        const data = await this.fetchLiveAPI(pokemonName, countryCode, pokemonId);
+        const data = await this.fetchLiveAPI(pokemonName, countryCode, pokemonId, timeframe);
         this.cache.set(cacheKey, data);
         return data;
       } catch (error) {
@@ -97,7 +214,8 @@ export class TrendsApiService {
       fallback: true,
       source: 'fallback',
       pokemonName,
-      countryCode
+      countryCode,
+      timeframe
     };
     
     this.cache.set(cacheKey, fallbackData);
@@ -105,14 +223,29 @@ export class TrendsApiService {
     return fallbackData;
   }
 
+  /**
+   * Get the pre-computed entry for a time window.
+   * The default window is stored at the top level of each entry, others under `entry.timeframes`.
+   */
+  getLocalEntry(pokemonName, countryCode, timeframe = DEFAULT_TIMEFRAME) {
+    const shard = this.shards[countryCode];
+    const entry = shard?.entries?.[pokemonName];
+    if (!entry) return null;
+    const defaultTimeframe = shard.defaultTimeframe || DEFAULT_TIMEFRAME;
+    return timeframe === defaultTimeframe ? entry : (entry.timeframes?.[timeframe] || null);
+  }
+
   /**
    * Fetch from live API (dev mode only)
    */
-  async fetchLiveAPI(pokemonName, countryCode, pokemonId) {
+  async fetchLiveAPI(pokemonName, countryCode, pokemonId, timeframe = DEFAULT_TIMEFRAME) {
     let url = `${this.apiUrl}?pokemonName=${encodeURIComponent(pokemonName)}&countryCode=${countryCode}`;
     if (pokemonId != null) {
       url += `&pokemonId=${pokemonId}`;
     }
+    if (timeframe !== DEFAULT_TIMEFRAME) {
+      url += `&timeframe=${encodeURIComponent(timeframe)}`;
+    }
 
     const maxAttempts = 3;
     const baseDelay = 500; // ms
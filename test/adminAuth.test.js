@@ -0,0 +1,76 @@
+/**
+ * @file adminAuth.test.js
+ * /admin token scopes over HTTP: 401 without a valid token, 403 when the token
+ * lacks the route's scope, and each request counted once in the auth metrics.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeUpstream, startApp } from './helpers.js';
+
+const READ_TOKEN = 'read-secret';
+const CONTROL_TOKEN = 'control-secret';
+
+let fake;
+let instance;
+
+before(async () => {
+  fake = await startFakeUpstream();
+  instance = await startApp(fake, { ADMIN_TOKENS: `reader:${READ_TOKEN}:read,operator:${CONTROL_TOKEN}:control` });
+});
+
+after(async () => {
+  await instance.stop();
+  await fake.close();
+});
+
+function request(method, path, { token, header = 'authorization', body } = {}) {
+  const headers = body ? { 'content-type': 'application/json' } : {};
+  if (token) headers[header] = header === 'authorization' ? `Bearer ${token}` : token;
+  return fetch(instance.baseUrl + path, { method, headers, body: body ? JSON.stringify(body) : undefined });
+}
+
+async function authCounts() {
+  const text = await (await fetch(`${instance.baseUrl}/metrics`)).text();
+  const count = (result) => Number(text.match(new RegExp(`poketrends_admin_auth_total\\{result="${result}"\\} (\\d+)`))[1]);
+  return { allowed: count('allowed'), denied: count('denied') };
+}
+
+test('requests without a valid token get 401 with a Bearer challenge', async () => {
+  for (const token of [undefined, 'wrong-secret']) {
+    const res = await request('GET', '/admin/refresh/status', { token });
+    assert.equal(res.status, 401);
+    assert.match(res.headers.get('www-authenticate'), /^Bearer /);
+    assert.equal((await res.json()).error, 'Unauthorized');
+  }
+});
+
+test('the token is checked before the request is validated', async () => {
+  const body = { timeframe: 'not-a-timeframe' };
+  assert.equal((await request('POST', '/admin/harvest', { body })).status, 401);
+  assert.equal((await request('POST', '/admin/harvest', { token: CONTROL_TOKEN, body })).status, 400);
+});
+
+test('a read token can read but not control', async () => {
+  assert.equal((await request('GET', '/admin/refresh/status', { token: READ_TOKEN })).status, 200);
+  assert.equal((await request('GET', '/admin/config', { token: READ_TOKEN, header: 'x-admin-token' })).status, 200);
+
+  const res = await request('POST', '/admin/refresh/pause', { token: READ_TOKEN });
+  assert.equal(res.status, 403);
+  assert.deepEqual(await res.json(), { error: 'Forbidden', requiredScope: 'control' });
+});
+
+test('a control token can read and control', async () => {
+  assert.equal((await request('GET', '/admin/refresh/status', { token: CONTROL_TOKEN })).status, 200);
+  assert.equal((await request('POST', '/admin/refresh/pause', { token: CONTROL_TOKEN })).status, 200);
+});
+
+test('each admin request is counted once, as allowed or denied', async () => {
+  const before = await authCounts();
+  await request('GET', '/admin/refresh/status', { token: READ_TOKEN });
+  await request('POST', '/admin/refresh/pause', { token: READ_TOKEN });
+  await request('POST', '/admin/refresh/pause', { token: CONTROL_TOKEN });
+  await request('POST', '/admin/refresh/pause');
+  const after = await authCounts();
+  assert.deepEqual({ allowed: after.allowed - before.allowed, denied: after.denied - before.denied }, { allowed: 2, denied: 2 });
+});
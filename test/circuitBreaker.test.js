@@ -0,0 +1,81 @@
+/**
+ * @file circuitBreaker.test.js
+ * Upstream block detection end to end: HTML block pages from the fake upstream
+ * open the shared breaker, lookups fall back while it is open, and the half-open
+ * probe closes it again (or re-opens it for longer when it is blocked too).
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeUpstream, startBackend, stopBackend } from './helpers.js';
+
+const OPEN_MS = 1000;
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let fake;
+let backend;
+let transitions;
+
+before(async () => {
+  fake = await startFakeUpstream();
+});
+
+beforeEach(async () => {
+  if (backend) await stopBackend(backend);
+  fake.reset();
+  backend = startBackend(fake, { BREAKER_FAILURE_THRESHOLD: '2', BREAKER_OPEN_MS: String(OPEN_MS) });
+  transitions = [];
+  backend.circuitBreaker.on('state', ({ from, to }) => transitions.push(`${from}->${to}`));
+});
+
+after(async () => {
+  if (backend) await stopBackend(backend);
+  await fake.close();
+});
+
+test('HTML block pages open the breaker and lookups fall back without calling upstream', async () => {
+  const { trendsClient, circuitBreaker } = backend;
+  assert.equal((await trendsClient.fetchTrends('pikachu', 'US', 25)).fallback, false);
+
+  fake.setDefault('html');
+  const blocked = await trendsClient.fetchTrends('mewtwo', 'US', 150);
+  assert.equal(blocked.fallback, true);
+  assert.equal(circuitBreaker.state, 'open');
+  assert.deepEqual(transitions, ['closed->open']);
+  assert.equal(trendsClient.metrics.blockedHTML > 0, true);
+
+  const explores = fake.stats.html;
+  const whileOpen = await trendsClient.fetchTrends('eevee', 'US', 133);
+  assert.equal(whileOpen.fallback, true);
+  assert.equal(fake.stats.html, explores, 'no upstream request while the breaker is open');
+  assert.equal(circuitBreaker.stats.rejected > 0, true);
+});
+
+test('a successful half-open probe closes the breaker', async () => {
+  const { trendsClient, circuitBreaker } = backend;
+  fake.setDefault('html');
+  await trendsClient.fetchTrends('mewtwo', 'US', 150);
+  assert.equal(circuitBreaker.state, 'open');
+
+  fake.setDefault('ok');
+  await wait(OPEN_MS + 100);
+  const result = await trendsClient.fetchTrends('eevee', 'US', 133);
+  assert.equal(result.fallback, false);
+  assert.equal(circuitBreaker.state, 'closed');
+  assert.deepEqual(transitions, ['closed->open', 'open->half-open', 'half-open->closed']);
+  assert.equal(circuitBreaker.stats.probes, 1);
+});
+
+test('a blocked probe re-opens the breaker for twice as long', async () => {
+  const { trendsClient, circuitBreaker } = backend;
+  fake.setDefault('html');
+  await trendsClient.fetchTrends('mewtwo', 'US', 150);
+
+  await wait(OPEN_MS + 100);
+  const result = await trendsClient.fetchTrends('eevee', 'US', 133);
+  assert.equal(result.fallback, true);
+  assert.equal(circuitBreaker.state, 'open');
+  assert.deepEqual(transitions, ['closed->open', 'open->half-open', 'half-open->open']);
+  assert.equal(circuitBreaker.openMs, OPEN_MS * 2);
+  assert.equal(circuitBreaker.remainingOpenMs() > OPEN_MS, true);
+});
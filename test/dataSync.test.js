@@ -0,0 +1,85 @@
+/**
+ * @file dataSync.test.js
+ * Conditional requests and delta sync of /data/trends: data harvested from the
+ * fake upstream is served with an ETag, unchanged data answers 304, and
+ * `?since=<version>` returns only the entries changed after that version.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeUpstream, startApp, nextEvent } from './helpers.js';
+
+const CONTROL_TOKEN = 'control-secret';
+
+let fake;
+let instance;
+
+before(async () => {
+  fake = await startFakeUpstream();
+  instance = await startApp(fake, { ADMIN_TOKENS: `operator:${CONTROL_TOKEN}:control` });
+});
+
+after(async () => {
+  await instance.stop();
+  await fake.close();
+});
+
+async function harvest(targetPokemon) {
+  const completed = nextEvent(instance.backend.harvestService, 'completed');
+  const res = await fetch(`${instance.baseUrl}/admin/harvest`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${CONTROL_TOKEN}`, 'content-type': 'application/json' },
+    body: JSON.stringify({ targetPokemon, targetCountries: ['US'] })
+  });
+  assert.equal(res.status, 200);
+  await completed;
+}
+
+function getData(query = '', headers = {}) {
+  return fetch(`${instance.baseUrl}/data/trends${query}`, { headers });
+}
+
+test('unchanged data answers 304 to its ETag or Last-Modified', async () => {
+  await harvest(['pikachu', 'mewtwo']);
+
+  const res = await getData();
+  assert.equal(res.status, 200);
+  const data = await res.json();
+  assert.deepEqual(Object.keys(data.countries.US).sort(), ['mewtwo', 'pikachu']);
+  assert.equal(data.countries.US.pikachu.fallback, false);
+  const etag = res.headers.get('etag');
+  assert.equal(etag, `W/"${data.version}"`);
+  assert.equal(res.headers.get('cache-control'), 'no-cache');
+
+  assert.equal((await getData('', { 'if-none-match': etag })).status, 304);
+  assert.equal((await getData('', { 'if-modified-since': res.headers.get('last-modified') })).status, 304);
+  assert.equal((await getData('', { 'if-none-match': 'W/"2000-01-01T00:00:00.000Z"' })).status, 200);
+});
+
+test('?since returns only the entries changed after that version', async () => {
+  const before = await getData();
+  const etag = before.headers.get('etag');
+  const { version } = await before.json();
+
+  await harvest(['eevee']);
+
+  assert.equal((await getData('', { 'if-none-match': etag })).status, 200, 'a new version invalidates the old ETag');
+
+  const res = await getData(`?since=${encodeURIComponent(version)}`);
+  assert.equal(res.status, 200);
+  const delta = await res.json();
+  assert.equal(delta.delta, true);
+  assert.equal(delta.since, version);
+  assert.equal(delta.version > version, true);
+  assert.deepEqual(Object.keys(delta.countries.US), ['eevee']);
+  assert.equal(delta.changedEntries, 1);
+
+  // Nothing changed after the current version: the delta is empty, and its ETag answers 304
+  const current = await getData(`?since=${encodeURIComponent(delta.version)}`);
+  assert.deepEqual((await current.json()).countries, {});
+  assert.equal((await getData(`?since=${encodeURIComponent(delta.version)}`, { 'if-none-match': current.headers.get('etag') })).status, 304);
+});
+
+test('an invalid ?since is rejected', async () => {
+  assert.equal((await getData('?since=yesterday')).status, 400);
+});
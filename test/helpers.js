@@ -0,0 +1,110 @@
+/**
+ * @file helpers.js
+ * Shared setup for the `node --test` suites: a FakeTrendsServer upstream and
+ * the app or backend configured against it, with data files in a temp directory.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FakeTrendsServer } from '../services/FakeTrendsServer.js';
+import { createApp } from '../app.js';
+import { createBackend } from '../services/backend.js';
+import { loadConfig } from '../services/config.js';
+import { configureLogger } from '../services/logger.js';
+
+// Expected failures (blocked lookups, denied requests) still log at error level
+configureLogger({ level: 'error' });
+
+export const TEST_POKEMON = [
+  { name: 'pikachu', id: 25 },
+  { name: 'mewtwo', id: 150 },
+  { name: 'eevee', id: 133 }
+];
+
+/**
+ * Empty directory under the system temp dir
+ */
+export function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'poketrends-test-'));
+}
+
+/**
+ * Config for a test run: no upstream pacing or cooldowns, quiet logs, no background work on start.
+ * Environment values override the defaults.
+ * @param {Object} env - e.g. { TRENDS_UPSTREAM_URL, ADMIN_TOKENS }
+ */
+export function testConfig(env = {}) {
+  return loadConfig({
+    env: {
+      DATA_DIR: env.DATA_DIR || tempDir(),
+      LOG_LEVEL: 'error',
+      TRENDS_COUNTRIES: 'US',
+      TRENDS_MIN_TIME_MS: '0',
+      TRENDS_COOLDOWN_MS: '0',
+      TRENDS_HTML_COOLDOWN_MS: '0',
+      HARVEST_MIN_TIME_MS: '0',
+      HARVEST_AUTO_START: 'false',
+      REFRESH_COOLDOWN_HOURS: '24',
+      ...env
+    },
+    file: null
+  });
+}
+
+/**
+ * Start a fake upstream
+ * @param {Object} options - FakeTrendsServer options
+ * @returns {Promise<FakeTrendsServer>}
+ */
+export async function startFakeUpstream(options = {}) {
+  const fake = new FakeTrendsServer(options);
+  await fake.listen();
+  return fake;
+}
+
+/**
+ * Backend (no HTTP) talking to a fake upstream
+ * @param {FakeTrendsServer} fake
+ * @param {Object} env - Extra config environment
+ */
+export function startBackend(fake, env = {}) {
+  const config = testConfig({ TRENDS_UPSTREAM_URL: fake.url, ...env });
+  return createBackend(config, { pokemonListFetcher: async () => TEST_POKEMON });
+}
+
+/**
+ * Shut a backend down and delete its data directory
+ */
+export async function stopBackend(backend) {
+  await backend.shutdown();
+  fs.rmSync(backend.config.server.dataDir, { recursive: true, force: true });
+}
+
+/**
+ * HTTP app listening on a free port, talking to a fake upstream
+ * @param {FakeTrendsServer} fake
+ * @param {Object} env - Extra config environment
+ * @returns {Promise<Object>} { baseUrl, app, backend, stop() }
+ */
+export async function startApp(fake, env = {}) {
+  const config = testConfig({ TRENDS_UPSTREAM_URL: fake.url, ...env });
+  const instance = createApp(config, { pokemonListFetcher: async () => TEST_POKEMON });
+  const server = await instance.start(0);
+  return {
+    ...instance,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    // Closes the server, shuts the backend down and deletes the data directory
+    async stop() {
+      await instance.stop();
+      fs.rmSync(config.server.dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Resolve on the next `event` of an EventEmitter
+ */
+export function nextEvent(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
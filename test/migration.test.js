@@ -0,0 +1,121 @@
+/**
+ * @file migration.test.js
+ * Schema upgrades of pokemon_trends.json on load: a schema 1 file becomes
+ * schema 2 (and is served that way), a file from newer code is kept read-only,
+ * and a file a migration fails on stops the load instead of being replaced.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { TrendsDataStore } from '../services/TrendsDataStore.js';
+import { SCHEMA_VERSION } from '../services/dataSchema.js';
+import { startFakeUpstream, startApp, tempDir } from './helpers.js';
+
+// As written before schema versions: successRate as a string, the refresh's whole result in entries
+const SCHEMA_1_FILE = {
+  version: '2025-01-01T00:00:00.000Z',
+  lastUpdate: '2025-03-01T00:00:00.000Z',
+  countries: {
+    US: {
+      pikachu: { score: 88, avgScore: 70, topicId: '/m/0dl567', lastFetched: '2025-02-01T00:00:00.000Z', fallback: false },
+      mewtwo: {
+        score: 52,
+        lastFetched: '2025-03-01T00:00:00.000Z',
+        fallback: false,
+        rawData: '{"default":{}}',
+        timelineValues: [40, 52],
+        cached: true,
+        timeframes: { '7d': { score: 60, lastFetched: '2025-03-01T00:00:00.000Z', rawData: '{}' } }
+      }
+    }
+  },
+  metadata: { totalPokemon: 2, successRate: '87.5', lastHarvest: '2025-02-01T00:00:00.000Z', lastUpdate: '2025-03-01T00:00:00.000Z' }
+};
+
+let dir;
+
+before(() => {
+  dir = tempDir();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeFile(name, data) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(data), 'utf8');
+  return file;
+}
+
+test('a schema 1 file is upgraded to schema 2 on load and saved in the new format', async () => {
+  const file = writeFile('v1.json', SCHEMA_1_FILE);
+  const store = new TrendsDataStore(file);
+  const { data } = store;
+
+  assert.equal(SCHEMA_VERSION, 2);
+  assert.equal(data.schemaVersion, 2);
+  assert.equal(store.schema.migratedFrom, 1);
+  assert.equal(store.schema.migrations.length, 1);
+  assert.deepEqual(store.schema.errors, []);
+
+  assert.equal(data.metadata.successRate, 87.5);
+  assert.equal('lastUpdate' in data.metadata, false);
+  assert.deepEqual(data.topicIds, {});
+  assert.deepEqual(data.regions, {});
+  // The version moves past lastUpdate, so clients holding the old one fetch the reshaped entries
+  assert.equal(data.version > SCHEMA_1_FILE.lastUpdate, true);
+
+  assert.deepEqual(data.countries.US.pikachu, SCHEMA_1_FILE.countries.US.pikachu);
+  assert.deepEqual(data.countries.US.mewtwo, {
+    score: 52,
+    lastFetched: '2025-03-01T00:00:00.000Z',
+    fallback: false,
+    timeframes: { '7d': { score: 60, lastFetched: '2025-03-01T00:00:00.000Z' } }
+  });
+
+  await store.save();
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(saved.schemaVersion, 2);
+  assert.equal(Object.keys(saved)[0], 'schemaVersion');
+  assert.equal('rawData' in saved.countries.US.mewtwo, false);
+});
+
+test('a file from newer code is served read-only and never overwritten', async () => {
+  const newer = { ...SCHEMA_1_FILE, schemaVersion: SCHEMA_VERSION + 1 };
+  const file = writeFile('newer.json', newer);
+  const store = new TrendsDataStore(file);
+
+  assert.equal(store.schema.readOnly, true);
+  assert.equal(store.schema.schemaVersion, SCHEMA_VERSION + 1);
+  assert.equal(store.data.countries.US.mewtwo.rawData, '{"default":{}}');
+
+  await store.save();
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), newer);
+});
+
+test('a file a migration fails on is not loaded and left in place', () => {
+  const broken = { ...SCHEMA_1_FILE, countries: { US: 'not an object of entries' } };
+  const file = writeFile('broken.json', broken);
+
+  assert.throws(() => new TrendsDataStore(file), /Failed to migrate .*broken\.json from schema 1/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), broken);
+});
+
+test('the app serves a schema 1 data file upgraded', async () => {
+  const dataDir = tempDir();
+  fs.writeFileSync(path.join(dataDir, 'pokemon_trends.json'), JSON.stringify(SCHEMA_1_FILE), 'utf8');
+  const fake = await startFakeUpstream();
+  const instance = await startApp(fake, { DATA_DIR: dataDir });
+  try {
+    const data = await (await fetch(`${instance.baseUrl}/data/trends`)).json();
+    assert.equal(data.schemaVersion, 2);
+    assert.equal(data.metadata.successRate, 87.5);
+    assert.equal('rawData' in data.countries.US.mewtwo, false);
+  } finally {
+    await instance.stop();
+    await fake.close();
+  }
+});
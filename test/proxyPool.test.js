@@ -0,0 +1,98 @@
+/**
+ * @file proxyPool.test.js
+ * Proxy quarantine against the fake upstream: a proxy that keeps getting blocked
+ * sits out, and requests move to the healthy ones until it is released.
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GoogleTrendsProvider } from '../services/GoogleTrendsProvider.js';
+import { ProxyPool } from '../services/ProxyPool.js';
+import { startFakeUpstream } from './helpers.js';
+
+let fake;
+
+before(async () => {
+  fake = await startFakeUpstream();
+});
+
+after(async () => {
+  await fake.close();
+});
+
+beforeEach(() => {
+  fake.reset();
+});
+
+/**
+ * Two proxies that both reach the fake upstream, so the test controls their outcomes through its rules
+ */
+function createPool(options = {}) {
+  return new ProxyPool(
+    [{ url: 'http://proxy-a.test:8080' }, { url: 'http://proxy-b.test:8080' }],
+    { quarantineAfter: 2, quarantineMs: 60000, createAgent: () => fake.agent(), ...options }
+  );
+}
+
+async function lookup(provider) {
+  try {
+    return await provider.interestOverTime({ keyword: 'pikachu pokemon', geo: 'US' });
+  } catch (err) {
+    return null; // outcome is recorded by the pool
+  }
+}
+
+test('a proxy is quarantined after consecutive blocks and skipped while it sits out', async () => {
+  const pool = createPool();
+  const provider = new GoogleTrendsProvider({ proxyPool: pool });
+
+  // Round-robin: a, b, a -> a is blocked twice in a row, b once
+  fake.addRule({ behavior: 'html', times: 3 });
+  for (let i = 0; i < 3; i++) await lookup(provider);
+
+  let [a, b] = pool.getStatus().proxies;
+  assert.equal(a.healthy, false);
+  assert.equal(a.quarantines, 1);
+  assert.equal(a.blockedHTML, 2);
+  assert.equal(b.healthy, true);
+  assert.equal(b.consecutiveBlocks, 1);
+
+  // Every following request goes through b
+  for (let i = 0; i < 3; i++) assert.notEqual(await lookup(provider), null);
+  [a, b] = pool.getStatus().proxies;
+  assert.equal(a.requests, 2);
+  assert.equal(b.requests, 4);
+  assert.equal(b.success, 3);
+  assert.equal(b.consecutiveBlocks, 0, 'a success resets the block streak');
+});
+
+test('rate-limited responses count towards quarantine, network errors do not', async () => {
+  const pool = createPool({ quarantineAfter: 1 });
+  const provider = new GoogleTrendsProvider({ proxyPool: pool });
+
+  fake.addRule({ behavior: 'reset', times: 1 });
+  await lookup(provider);
+  fake.addRule({ behavior: 'rate_limit', times: 1 });
+  await lookup(provider);
+
+  const [a, b] = pool.getStatus().proxies;
+  assert.equal(a.errors, 1);
+  assert.equal(a.healthy, true);
+  assert.equal(b.rateLimited, 1);
+  assert.equal(b.healthy, false);
+});
+
+test('when every proxy is quarantined the one released soonest is used', async () => {
+  const pool = createPool({ quarantineAfter: 1 });
+  const provider = new GoogleTrendsProvider({ proxyPool: pool });
+
+  fake.addRule({ behavior: 'html', times: 2 });
+  await lookup(provider);
+  await lookup(provider);
+  assert.deepEqual(pool.getStatus().proxies.map(p => p.healthy), [false, false]);
+
+  assert.notEqual(await lookup(provider), null);
+  const [a, b] = pool.getStatus().proxies;
+  assert.equal(a.requests, 2, 'a was quarantined first, so it is released first');
+  assert.equal(b.requests, 1);
+});
@@ -0,0 +1,54 @@
+/**
+ * @file rateLimit.test.js
+ * Inbound rate limiting of /trends: clients over their budget get 429 with
+ * Retry-After, configured API keys have their own budget, and unknown names
+ * never reach the fake upstream.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeUpstream, startApp } from './helpers.js';
+
+let fake;
+let instance;
+
+before(async () => {
+  fake = await startFakeUpstream();
+  instance = await startApp(fake, {
+    TRENDS_RATE_LIMIT_PER_MIN: '1',
+    TRENDS_RATE_LIMIT_BURST: '2',
+    TRENDS_RATE_LIMIT_API_KEYS: 'partner:partner-key'
+  });
+});
+
+after(async () => {
+  await instance.stop();
+  await fake.close();
+});
+
+function trends(pokemonName, headers = {}) {
+  return fetch(`${instance.baseUrl}/trends?pokemonName=${pokemonName}&countryCode=US`, { headers });
+}
+
+test('requests over the budget get 429 with Retry-After', async () => {
+  assert.equal((await trends('pikachu')).status, 200);
+  assert.equal((await trends('pikachu')).status, 200);
+
+  const res = await trends('pikachu');
+  assert.equal(res.status, 429);
+  const retryAfter = Number(res.headers.get('retry-after'));
+  assert.equal(retryAfter > 0 && retryAfter <= 60, true, `Retry-After ${res.headers.get('retry-after')}`);
+  assert.equal(res.headers.get('x-ratelimit-remaining'), '0');
+});
+
+test('a configured API key has its own budget; an unknown key shares the IP budget', async () => {
+  assert.equal((await trends('pikachu', { 'x-api-key': 'made-up-key' })).status, 429);
+  assert.equal((await trends('pikachu', { 'x-api-key': 'partner-key' })).status, 200);
+});
+
+test('names outside the species list are refused without an upstream request', async () => {
+  const explores = fake.requests.filter(r => r.stage === 'explore').length;
+  const res = await trends('definitely-not-a-pokemon', { 'x-api-key': 'partner-key' });
+  assert.equal(res.status, 400);
+  assert.equal(fake.requests.filter(r => r.stage === 'explore').length, explores);
+});